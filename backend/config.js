@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Validated server configuration for meetings, recordings and transcription
+ *
+ * Reads the media region, the recording sink, the composited-video
+ * (grid recording) options and the transcription languages from environment
+ * variables, validates them once at startup and fails fast on bad values.
+ * Per-request recording overrides are checked against the values the server
+ * allows.
+ *
+ * Environment variables:
+ * - MEDIA_REGION: Chime media region (defaults to AWS_REGION, then us-east-1)
+ * - RECORDING_BUCKET: S3 bucket recordings are written to
+ * - RECORDING_PREFIX: Optional key prefix inside the bucket (e.g. "staging/")
+ * - RECORDING_LAYOUT, RECORDING_RESOLUTION, RECORDING_CONTENT_SHARE_LAYOUT,
+ *   RECORDING_PIP_POSITION: Default composited-video options
+ * - RECORDING_ALLOWED_<OPTION>S: Comma-separated values requests may pick
+ *   (e.g. RECORDING_ALLOWED_RESOLUTIONS=HD,FHD); defaults to every value
+ *   Chime supports
+ * - TRANSCRIPTION_LANGUAGE: Default live transcription language (en-US)
+ * - TRANSCRIPTION_LANGUAGES: Comma-separated languages hosts may pick;
+ *   defaults to every language Chime transcription supports
+ */
+
+/**
+ * Values Chime accepts for each composited-video option
+ * @type {Object.<string, string[]>}
+ */
+const COMPOSITED_OPTION_VALUES = {
+    layout: ['GridView'],
+    resolution: ['HD', 'FHD'],
+    contentShareLayout: ['PresenterOnly', 'Horizontal', 'Vertical', 'ActiveSpeakerOnly'],
+    pipPosition: ['TopLeft', 'TopRight', 'BottomLeft', 'BottomRight'],
+};
+
+/**
+ * Environment variable suffix for each composited-video option
+ * @type {Object.<string, string>}
+ */
+const OPTION_ENV_NAMES = {
+    layout: 'LAYOUT',
+    resolution: 'RESOLUTION',
+    contentShareLayout: 'CONTENT_SHARE_LAYOUT',
+    pipPosition: 'PIP_POSITION',
+};
+
+/**
+ * Default composited-video options (matching the original fixed grid recording)
+ * @type {Object.<string, string>}
+ */
+const DEFAULT_COMPOSITED_OPTIONS = {
+    layout: 'GridView',
+    resolution: 'HD',
+    contentShareLayout: 'PresenterOnly',
+    pipPosition: 'TopRight',
+};
+
+/**
+ * Languages Chime live transcription (Amazon Transcribe) accepts
+ * @type {string[]}
+ */
+const TRANSCRIPTION_LANGUAGE_CODES = [
+    'en-US', 'en-GB', 'en-AU', 'es-US', 'fr-CA', 'fr-FR', 'de-DE',
+    'it-IT', 'pt-BR', 'ja-JP', 'ko-KR', 'zh-CN', 'hi-IN', 'th-TH',
+];
+
+const REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d$/;
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+const PREFIX_PATTERN = /^[A-Za-z0-9!_.*'()\/-]*$/;
+
+/**
+ * Parse a comma-separated list, ignoring blanks
+ * @param {string} value - Raw environment value
+ * @returns {string[]} Trimmed entries
+ */
+const parseList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Build and validate the configuration
+ *
+ * @param {Object.<string, string>} env - Environment variables
+ * @returns {Object} Frozen configuration
+ * @throws {Error} When any value is invalid
+ */
+function loadConfig(env) {
+    const mediaRegion = env.MEDIA_REGION || env.AWS_REGION || 'us-east-1';
+    if (!REGION_PATTERN.test(mediaRegion)) {
+        throw new Error(`Invalid MEDIA_REGION: ${mediaRegion}`);
+    }
+
+    const bucket = env.RECORDING_BUCKET || 'meet-recordings-rm';
+    if (!BUCKET_PATTERN.test(bucket)) {
+        throw new Error(`Invalid RECORDING_BUCKET: ${bucket}`);
+    }
+
+    // Normalize to either '' or 'some/path/'
+    let prefix = (env.RECORDING_PREFIX || '').replace(/^\/+|\/+$/g, '');
+    if (!PREFIX_PATTERN.test(prefix)) {
+        throw new Error(`Invalid RECORDING_PREFIX: ${prefix}`);
+    }
+    if (prefix) prefix += '/';
+
+    const defaults = {};
+    const allowed = {};
+    for (const [option, values] of Object.entries(COMPOSITED_OPTION_VALUES)) {
+        const envName = OPTION_ENV_NAMES[option];
+
+        const defaultValue = env[`RECORDING_${envName}`] || DEFAULT_COMPOSITED_OPTIONS[option];
+        if (!values.includes(defaultValue)) {
+            throw new Error(`Invalid RECORDING_${envName}: ${defaultValue} (expected one of ${values.join(', ')})`);
+        }
+
+        const allowedValues = env[`RECORDING_ALLOWED_${envName}S`]
+            ? parseList(env[`RECORDING_ALLOWED_${envName}S`])
+            : values;
+        const unknown = allowedValues.filter(value => !values.includes(value));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid RECORDING_ALLOWED_${envName}S: ${unknown.join(', ')} (expected any of ${values.join(', ')})`);
+        }
+        // The default must always be selectable
+        if (!allowedValues.includes(defaultValue)) allowedValues.push(defaultValue);
+
+        defaults[option] = defaultValue;
+        allowed[option] = allowedValues;
+    }
+
+    const defaultLanguage = env.TRANSCRIPTION_LANGUAGE || 'en-US';
+    if (!TRANSCRIPTION_LANGUAGE_CODES.includes(defaultLanguage)) {
+        throw new Error(`Invalid TRANSCRIPTION_LANGUAGE: ${defaultLanguage} (expected one of ${TRANSCRIPTION_LANGUAGE_CODES.join(', ')})`);
+    }
+    const languages = env.TRANSCRIPTION_LANGUAGES
+        ? parseList(env.TRANSCRIPTION_LANGUAGES)
+        : [...TRANSCRIPTION_LANGUAGE_CODES];
+    const unknownLanguages = languages.filter(language => !TRANSCRIPTION_LANGUAGE_CODES.includes(language));
+    if (unknownLanguages.length > 0) {
+        throw new Error(`Invalid TRANSCRIPTION_LANGUAGES: ${unknownLanguages.join(', ')} (expected any of ${TRANSCRIPTION_LANGUAGE_CODES.join(', ')})`);
+    }
+    if (!languages.includes(defaultLanguage)) languages.push(defaultLanguage);
+
+    return Object.freeze({
+        mediaRegion,
+        recording: Object.freeze({ bucket, prefix, defaults, allowed }),
+        transcription: Object.freeze({ defaultLanguage, languages }),
+    });
+}
+
+/**
+ * Server configuration loaded from process.env
+ * @type {{mediaRegion: string, recording: {bucket: string, prefix: string, defaults: Object.<string, string>, allowed: Object.<string, string[]>}, transcription: {defaultLanguage: string, languages: string[]}}}
+ */
+const config = loadConfig(process.env);
+
+/**
+ * Merge per-request composited-video overrides over the configured defaults
+ *
+ * @param {Object.<string, string>} [overrides] - Options requested by the caller
+ * @returns {{options: ?Object.<string, string>, error: ?string}} Resolved options, or a message describing the first rejected override
+ */
+function resolveCompositedOptions(overrides = {}) {
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+        return { options: null, error: 'Recording options must be an object' };
+    }
+
+    const { defaults, allowed } = config.recording;
+    const options = { ...defaults };
+    for (const [option, value] of Object.entries(overrides)) {
+        if (!(option in allowed)) {
+            return { options: null, error: `Unknown recording option: ${option}` };
+        }
+        if (value === undefined || value === null || value === '') continue;
+        if (!allowed[option].includes(value)) {
+            return { options: null, error: `Recording option ${option} must be one of ${allowed[option].join(', ')}` };
+        }
+        options[option] = value;
+    }
+    return { options, error: null };
+}
+
+/**
+ * Build the Chime CompositedVideo artifacts configuration
+ *
+ * The picture-in-picture position applies to the tile overlaid on shared
+ * content (PresenterOnly) or on the active speaker (ActiveSpeakerOnly).
+ *
+ * @param {Object.<string, string>} options - Options from resolveCompositedOptions
+ * @returns {Object} CompositedVideo artifacts configuration
+ */
+function buildCompositedVideoConfig(options) {
+    const gridViewConfiguration = { ContentShareLayout: options.contentShareLayout };
+    if (options.contentShareLayout === 'PresenterOnly') {
+        gridViewConfiguration.PresenterOnlyConfiguration = { PresenterPosition: options.pipPosition };
+    } else if (options.contentShareLayout === 'ActiveSpeakerOnly') {
+        gridViewConfiguration.ActiveSpeakerOnlyConfiguration = { ActiveSpeakerPosition: options.pipPosition };
+    }
+
+    return {
+        State: 'Enabled',
+        Layout: options.layout,
+        Resolution: options.resolution,  // HD = 1280x720, FHD = 1920x1080
+        GridViewConfiguration: gridViewConfiguration,
+    };
+}
+
+module.exports = { config, loadConfig, resolveCompositedOptions, buildCompositedVideoConfig };
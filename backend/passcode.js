@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Meeting passcode hashing and join throttling
+ *
+ * Passcodes are never stored in plain text. Each one is hashed with scrypt
+ * and a random salt, and verified with a constant-time comparison. Failed
+ * join attempts are counted per meeting and client, so that repeated guesses
+ * lock that client out of the meeting for a while without locking out
+ * everybody else.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Length in bytes of the derived scrypt key
+ * @type {number}
+ */
+const KEY_LENGTH = 32;
+
+/**
+ * Number of digits in a generated passcode
+ * @type {number}
+ */
+const PASSCODE_DIGITS = 6;
+
+/**
+ * Failed attempts allowed inside the window before a client is locked out of a meeting
+ * @type {number}
+ */
+const MAX_FAILED_ATTEMPTS = 5;
+
+/**
+ * Window in which failed attempts are counted, and lockout duration (ms)
+ * @type {number}
+ */
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Generate a random numeric passcode
+ * @returns {string} Passcode of PASSCODE_DIGITS digits
+ */
+function generatePasscode() {
+    return crypto.randomInt(0, 10 ** PASSCODE_DIGITS).toString().padStart(PASSCODE_DIGITS, '0');
+}
+
+/**
+ * Hash a passcode for storage
+ * @param {string} passcode - Plain text passcode
+ * @returns {Promise<string>} Encoded hash in the form `salt:key` (both hex)
+ */
+async function hashPasscode(passcode) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(String(passcode), salt, KEY_LENGTH);
+    return `${salt}:${key.toString('hex')}`;
+}
+
+/**
+ * Check a passcode against a stored hash
+ * @param {string} passcode - Plain text passcode supplied by the caller
+ * @param {string} storedHash - Hash produced by hashPasscode
+ * @returns {Promise<boolean>} True when the passcode matches
+ */
+async function verifyPasscode(passcode, storedHash) {
+    if (typeof passcode !== 'string' || !storedHash) return false;
+    const [salt, keyHex] = storedHash.split(':');
+    if (!salt || !keyHex) return false;
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(passcode, salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Failed join attempts per meeting title, then per client (IP address)
+ * Kept in memory on purpose: a restart simply resets the counters.
+ * 
+ * @type {Map<string, Map<string, {count: number, firstFailedAt: number, lockedUntil: number}>>}
+ */
+const failedAttempts = new Map();
+
+/**
+ * Get how long a client is still locked out of a meeting
+ * @param {string} title - Meeting title/identifier
+ * @param {string} client - Client identifier (IP address)
+ * @returns {number} Remaining lockout in milliseconds, 0 when not locked
+ */
+function getLockoutRemaining(title, client) {
+    const entry = failedAttempts.has(title) && failedAttempts.get(title).get(client);
+    if (!entry) return 0;
+    return Math.max(0, entry.lockedUntil - Date.now());
+}
+
+/**
+ * Record a failed join attempt, locking the client out once the limit is reached
+ * @param {string} title - Meeting title/identifier
+ * @param {string} client - Client identifier (IP address)
+ */
+function recordFailedAttempt(title, client) {
+    const now = Date.now();
+    if (!failedAttempts.has(title)) failedAttempts.set(title, new Map());
+    const clients = failedAttempts.get(title);
+    let entry = clients.get(client);
+    // Start a fresh window when the previous one has passed
+    if (!entry || now - entry.firstFailedAt > LOCKOUT_MS) {
+        entry = { count: 0, firstFailedAt: now, lockedUntil: 0 };
+        clients.set(client, entry);
+    }
+    entry.count += 1;
+    if (entry.count >= MAX_FAILED_ATTEMPTS) {
+        entry.lockedUntil = now + LOCKOUT_MS;
+    }
+}
+
+/**
+ * Clear failed attempts after a successful join, or for every client when the meeting ends
+ * @param {string} title - Meeting title/identifier
+ * @param {string} [client] - Client identifier (IP address); omit to clear the whole meeting
+ */
+function clearFailedAttempts(title, client) {
+    const clients = failedAttempts.get(title);
+    if (!clients) return;
+    if (client === undefined) {
+        failedAttempts.delete(title);
+        return;
+    }
+    clients.delete(client);
+    if (clients.size === 0) failedAttempts.delete(title);
+}
+
+module.exports = {
+    generatePasscode,
+    hashPasscode,
+    verifyPasscode,
+    getLockoutRemaining,
+    recordFailedAttempt,
+    clearFailedAttempts,
+};
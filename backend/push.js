@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Per-meeting push channel over Server-Sent Events
+ *
+ * Clients in a meeting keep one EventSource open to GET /api/events/:title.
+ * The server publishes roster changes, recording state and the end of the
+ * meeting to every open stream of that meeting, so clients no longer poll
+ * the roster. Some events (the waiting-room queue) only go to hosts, so each
+ * stream remembers the role of its session, and the attendee it belongs to
+ * so the server can tell who is still connected. Clients in the waiting room get
+ * a stream of their own, keyed by their request. Subscribers are held in
+ * memory; a client that reconnects (EventSource does this on its own)
+ * receives a fresh snapshot.
+ */
+
+/**
+ * Event names sent on the stream
+ * @enum {string}
+ */
+const PUSH_EVENTS = {
+    ROSTER: 'roster',
+    RECORDING: 'recording',
+    MEETING_ENDED: 'meeting-ended',
+    LOBBY: 'lobby',                 // Waiting-room queue (hosts only)
+    LOBBY_STATUS: 'lobby-status',   // Admitted or denied (waiting client only)
+};
+
+/**
+ * Interval of the keep-alive comments that stop proxies from closing idle streams (ms)
+ * @type {number}
+ */
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Open streams per channel (meeting title or waiting-room request), each with
+ * the role and attendee of its session
+ * @type {Map<string, Map<express.Response, {role: ?string, attendeeId: ?string}>>}
+ */
+const subscribers = new Map();
+
+/**
+ * Write one event to a stream
+ * @param {express.Response} res - Open event stream
+ * @param {string} event - Event name (from PUSH_EVENTS)
+ * @param {Object} data - JSON payload
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turn a response into an event stream for a meeting
+ * The stream stays registered until the client disconnects or the meeting is closed.
+ *
+ * @param {string} title - Channel: meeting title/identifier or waiting-room channel
+ * @param {express.Request} req - Incoming request
+ * @param {express.Response} res - Response to hold open
+ * @param {Array<[string, Object]>} [snapshot] - Events sent to this client first
+ * @param {?string} [role] - Role of the subscriber's session, for role-filtered events
+ * @param {?string} [attendeeId] - Attendee the stream belongs to
+ */
+function subscribe(title, req, res, snapshot = [], role = null, attendeeId = null) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',  // Disable response buffering in nginx
+    });
+    res.flushHeaders();
+    snapshot.forEach(([event, data]) => writeEvent(res, event, data));
+
+    if (!subscribers.has(title)) subscribers.set(title, new Map());
+    subscribers.get(title).set(res, { role, attendeeId });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = subscribers.get(title);
+        if (!streams) return;
+        streams.delete(res);
+        if (streams.size === 0) subscribers.delete(title);
+    });
+}
+
+/**
+ * Send an event to every open stream of a meeting
+ * @param {string} title - Channel: meeting title/identifier or waiting-room channel
+ * @param {string} event - Event name (from PUSH_EVENTS)
+ * @param {Object} data - JSON payload
+ * @param {string[]} [roles] - Only send to streams opened with one of these roles
+ */
+function publish(title, event, data, roles) {
+    const streams = subscribers.get(title);
+    if (!streams) return;
+    streams.forEach(({ role }, res) => {
+        if (!roles || roles.includes(role)) writeEvent(res, event, data);
+    });
+}
+
+/**
+ * Send a final event to a meeting's streams and close them
+ * @param {string} title - Channel: meeting title/identifier or waiting-room channel
+ * @param {string} event - Event name (from PUSH_EVENTS)
+ * @param {Object} data - JSON payload
+ */
+function closeMeeting(title, event, data) {
+    const streams = subscribers.get(title);
+    if (!streams) return;
+    subscribers.delete(title);
+    streams.forEach((subscriber, res) => {
+        writeEvent(res, event, data);
+        res.end();
+    });
+}
+
+/**
+ * Close one attendee's streams of a meeting, without a final event
+ * Used when the attendee loses access; the stream route then refuses the
+ * reconnect EventSource attempts on its own.
+ *
+ * @param {string} title - Meeting title/identifier
+ * @param {string} attendeeId - Attendee whose streams are closed
+ */
+function closeAttendee(title, attendeeId) {
+    const streams = subscribers.get(title);
+    if (!streams) return;
+    streams.forEach((subscriber, res) => {
+        if (subscriber.attendeeId !== attendeeId) return;
+        streams.delete(res);
+        res.end();
+    });
+    if (streams.size === 0) subscribers.delete(title);
+}
+
+/**
+ * Check whether a channel has any open stream
+ * @param {string} title - Channel: meeting title/identifier or waiting-room channel
+ * @returns {boolean} True while at least one client is subscribed
+ */
+function hasSubscribers(title) {
+    return subscribers.has(title);
+}
+
+/**
+ * Check whether an attendee has an open stream to a meeting
+ * @param {string} title - Meeting title/identifier
+ * @param {string} attendeeId - Attendee to look for
+ * @returns {boolean} True while at least one of the attendee's streams is open
+ */
+function isSubscribed(title, attendeeId) {
+    const streams = subscribers.get(title);
+    return Boolean(streams) && [...streams.values()].some(subscriber => subscriber.attendeeId === attendeeId);
+}
+
+module.exports = { PUSH_EVENTS, subscribe, publish, closeMeeting, closeAttendee, hasSubscribers, isSubscribed };
@@ -7,6 +7,19 @@
  * 
  * Key Features:
  * - Create and join Chime SDK meetings
+ * - Scheduled meetings with a validity window, capacity limit and description
+ * - Server-verified, hashed per-meeting passcodes with join throttling
+ * - Host/participant roles carried by signed session tokens
+ * - Host-only "end meeting for everyone" and automatic cleanup of expired meetings
+ * - Host-only removal of participants
+ * - Waiting room where the host admits or denies each participant
+ * - Stable attendee identity, so a refreshed page rejoins instead of duplicating
+ * - In-meeting chat history for late joiners
+ * - Recording status and per-meeting recording history
+ * - Configurable media region, recording sink and composited-video options
+ * - Host-controlled live transcription for closed captions
+ * - Signed outbound webhooks for meeting lifecycle events
+ * - Server-Sent Events push channel for roster, recording state and meeting end
  * - Manage meeting attendees and rosters
  * - Start/stop meeting recordings with configurable modes
  * - CORS-enabled for cross-origin frontend access
@@ -17,6 +30,12 @@
  * @requires @aws-sdk/client-chime-sdk-meetings - AWS Chime SDK for meeting management
  * @requires @aws-sdk/client-chime-sdk-media-pipelines - AWS Chime SDK for recording
  * @requires uuid - UUID generation for unique identifiers
+ * @requires ./store - Pluggable persistent storage for meeting data
+ * @requires ./passcode - Passcode hashing and failed-join throttling
+ * @requires ./session - Role-bearing session tokens and role middleware
+ * @requires ./config - Validated media region, recording and transcription configuration
+ * @requires ./webhooks - Signed, retried webhook delivery for lifecycle events
+ * @requires ./push - Per-meeting Server-Sent Events channel
  * @requires dotenv - Environment variable management
  * 
  * @author Milyn
@@ -25,10 +44,38 @@
 
 const express = require('express');
 const cors = require('cors');
-const { ChimeSDKMeetingsClient, CreateMeetingCommand, CreateAttendeeCommand } = require('@aws-sdk/client-chime-sdk-meetings');
-const { ChimeSDKMediaPipelinesClient, CreateMediaCapturePipelineCommand, DeleteMediaCapturePipelineCommand } = require('@aws-sdk/client-chime-sdk-media-pipelines');
+const {
+    ChimeSDKMeetingsClient,
+    CreateMeetingCommand,
+    CreateAttendeeCommand,
+    GetMeetingCommand,
+    DeleteMeetingCommand,
+    DeleteAttendeeCommand,
+    StartMeetingTranscriptionCommand,
+    StopMeetingTranscriptionCommand,
+} = require('@aws-sdk/client-chime-sdk-meetings');
+const {
+    ChimeSDKMediaPipelinesClient,
+    CreateMediaCapturePipelineCommand,
+    DeleteMediaCapturePipelineCommand,
+    CreateMediaConcatenationPipelineCommand,
+    GetMediaPipelineCommand,
+} = require('@aws-sdk/client-chime-sdk-media-pipelines');
 const { v4: uuid } = require('uuid');
 require('dotenv').config();
+const { createStore } = require('./store');
+const {
+    generatePasscode,
+    hashPasscode,
+    verifyPasscode,
+    getLockoutRemaining,
+    recordFailedAttempt,
+    clearFailedAttempts,
+} = require('./passcode');
+const { ROLES, issueToken, verifyToken, getBearerToken, requireRole, requireStreamRole } = require('./session');
+const { config, resolveCompositedOptions, buildCompositedVideoConfig } = require('./config');
+const { EVENTS, emitEvent } = require('./webhooks');
+const { PUSH_EVENTS, subscribe, publish, closeMeeting, closeAttendee, hasSubscribers, isSubscribed } = require('./push');
 
 /**
  * Express application instance
@@ -41,6 +88,16 @@ const app = express();
  */
 app.use(express.json());
 
+/**
+ * Proxy hops to trust for the client IP (TRUST_PROXY, e.g. 1 behind one load
+ * balancer). Join throttling is per client IP, so without this every client
+ * behind a proxy would share the proxy's address.
+ */
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 /**
  * CORS (Cross-Origin Resource Sharing) configuration object
  * Defines which origins are allowed to access this API
@@ -109,36 +166,797 @@ const chimeClient = new ChimeSDKMeetingsClient(clientConfig);
 const mediaClient = new ChimeSDKMediaPipelinesClient(clientConfig);
 
 /**
- * In-memory storage for active meetings
- * Maps meeting titles to their associated data
+ * Persistent storage for active meetings
+ * Maps meeting titles to their associated data so meetings, rosters and
+ * recording pipelines survive a server restart.
+ * 
+ * The adapter is selected with MEETING_STORE ('file' by default, or 'memory')
+ * and the file adapter writes to MEETING_STORE_PATH.
  * 
  * @typedef {Object} MeetingData
- * @property {Object} meeting - AWS Chime meeting object containing MeetingId, MediaRegion, etc.
+ * @property {?Object} meeting - AWS Chime meeting object containing MeetingId, MediaRegion, etc.
+ *   (null for a scheduled meeting until its first join)
+ * @property {MeetingSchedule} [schedule] - When the meeting may be joined and by how many people
  * @property {Object.<string, string>} attendees - Map of attendeeId to attendee name
+ * @property {Object.<string, string>} [externalUserIds] - Map of attendeeId to Chime ExternalUserId,
+ *   used to replace an attendee's earlier entry when they rejoin
+ * @property {string} passcodeHash - Salted scrypt hash of the meeting passcode
+ * @property {number} lastActiveAt - Epoch ms of the last create/join, used to evict idle meetings
+ * @property {boolean} [expired] - Set by the sweeper when Chime has ended the meeting
+ * @property {Object.<string, string>} [removedAttendees] - Map of ExternalUserId to name for attendees removed by the host,
+ *   so they cannot come back with their rejoin token under any name
+ * @property {string[]} [hostAttendeeIds] - Attendee IDs that joined with a host token; clients only obey
+ *   moderation data messages sent by these
+ * @property {Object.<string, LobbyRequest>} [lobby] - Waiting-room requests by request ID
+ * @property {ChatMessage[]} [chat] - Chat history, oldest first
+ * @property {Object.<string, string>} [raisedHands] - Map of attendeeId to the ISO time they raised their hand
  * @property {string} [pipelineId] - Media capture pipeline ID (present when recording is active)
  * @property {string} [recordMode] - Recording mode: 'raw' or 'grid'
+ * @property {?{language: string, startedAt: string}} [transcription] - Live transcription, present while it runs
+ */
+const store = createStore({
+    adapter: process.env.MEETING_STORE || 'file',
+    filePath: process.env.MEETING_STORE_PATH,
+});
+
+/**
+ * Scheduling details of a meeting created ahead of time
+ * 
+ * @typedef {Object} MeetingSchedule
+ * @property {string} scheduledStart - ISO timestamp the meeting opens at
+ * @property {?string} expiresAt - ISO timestamp after which nobody can join (null: never)
+ * @property {?number} maxAttendees - Most distinct participants admitted, hosts not counted (null: no limit)
+ * @property {string} description - Free-text description shown to the host
+ */
+
+/**
+ * A participant's request to enter, held in the waiting room until the host decides
+ * 
+ * @typedef {Object} LobbyRequest
+ * @property {string} name - Display name of the waiting participant
+ * @property {string} requestedAt - ISO timestamp
+ * @property {string} status - 'waiting', or 'admitted' until the participant joins
+ * @property {string} [externalUserId] - Identity from the rejoin token the participant asked with, kept
+ *   so the admitted join is checked and created under it even without the token
+ */
+
+/**
+ * A recording made for a meeting
+ * 
+ * @typedef {Object} RecordingEntry
+ * @property {string} pipelineId - Media capture pipeline ID
+ * @property {string} pipelineArn - Media capture pipeline ARN (source of the concatenation step)
+ * @property {string} mode - Recording mode: 'raw' or 'grid'
+ * @property {{attendeeId: ?string, name: string}} startedBy - Host who started the recording
+ * @property {?{attendeeId: ?string, name: string}} stoppedBy - Host who stopped it (null when it ended with the meeting)
+ * @property {string} startedAt - ISO timestamp
+ * @property {?string} stoppedAt - ISO timestamp, null while recording
+ * @property {?string} stopReason - 'stopped', 'meeting-ended' or 'meeting-expired'
+ * @property {string} s3Prefix - S3 location the pipeline writes its artifacts under
+ * @property {Object.<string, string>} [options] - Composited-video options (grid recordings only)
+ * @property {boolean} [transcribed] - Live transcription ran during the recording, so its transcript was captured too
+ * @property {RecordingConcatenation} [concatenation] - Merge of the chunked artifacts, set once the recording stops
+ */
+
+/**
+ * Concatenation step that merges a recording's chunked artifacts into one
+ * audio file and one video file
+ * 
+ * @typedef {Object} RecordingConcatenation
+ * @property {?string} pipelineId - Media concatenation pipeline ID (null if it could not be created)
+ * @property {string} status - Pipeline status as reported by Chime, e.g. 'InProgress', 'Stopped' or 'Failed'
+ * @property {?string} audio - S3 folder holding the merged audio file
+ * @property {?string} video - S3 folder holding the merged video file
+ * @property {?string} [transcript] - S3 folder holding the merged transcript (transcribed recordings only)
+ * @property {?string} error - Why the concatenation failed, null otherwise
+ */
+
+/**
+ * Persistent recording history
+ * Maps meeting titles to their RecordingEntry list (oldest first). Kept apart
+ * from the meeting store so the history outlives ended and evicted meetings.
+ * Uses the same adapter as the meeting store and writes to RECORDING_STORE_PATH.
+ */
+const recordingStore = createStore({
+    adapter: process.env.MEETING_STORE || 'file',
+    filePath: process.env.RECORDING_STORE_PATH || './data/recordings.json',
+});
+
+/**
+ * Minimum length of a passcode chosen by the meeting creator
+ * @type {number}
+ */
+const MIN_PASSCODE_LENGTH = 4;
+
+/**
+ * Largest capacity a meeting can be created with (Chime's attendee limit)
+ * @type {number}
+ */
+const MAX_MEETING_CAPACITY = 250;
+
+/**
+ * Longest meeting description accepted
+ * @type {number}
+ */
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * How long before its scheduled start participants may join a meeting (ms);
+ * hosts may join at any time before the start
+ * @type {number}
+ */
+const EARLY_JOIN_MS = (Number(process.env.MEETING_EARLY_JOIN_MINUTES) || 5) * 60 * 1000;
+
+/**
+ * Longest chat message text accepted, in characters
+ * @type {number}
+ */
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+
+/**
+ * Largest chat message envelope (id, sender, text and time as JSON), in UTF-8 bytes
+ * Clients relay the envelope as a Chime data message, which is limited to 2KB.
+ * @type {number}
+ */
+const MAX_CHAT_MESSAGE_BYTES = 2048;
+
+/**
+ * How long a waiting-room request survives its client's push stream closing (ms)
+ * Long enough for EventSource to reconnect after a network blip.
+ * @type {number}
+ */
+const LOBBY_GRACE_MS = 15 * 1000;
+
+/**
+ * How long an attendee stays on the roster without an open push stream (ms)
+ * Covers a page refresh or a network blip; after that the attendee is
+ * treated as gone (closed the tab without leaving).
+ * @type {number}
+ */
+const ATTENDEE_GRACE_MS = 30 * 1000;
+
+/**
+ * Moderation actions a host can send to participants
+ * - `mute`: mute one participant
+ * - `mute-all`: mute everyone but the sender
+ * - `ask-unmute`: ask one participant to unmute (they decide)
+ * @type {string[]}
+ */
+const MODERATION_ACTIONS = ['mute', 'mute-all', 'ask-unmute'];
+
+/**
+ * Number of chat messages kept per meeting; older ones are dropped
+ * @type {number}
+ */
+const MAX_CHAT_HISTORY = 500;
+
+/**
+ * How often the sweeper checks stored meetings against Chime (ms)
+ * @type {number}
+ */
+const MEETING_SWEEP_INTERVAL_MS = Number(process.env.MEETING_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+/**
+ * How long an expired meeting is kept (so it can be recreated under the same
+ * title and passcode) before the sweeper evicts it (ms)
+ * @type {number}
+ */
+const MEETING_RETENTION_MS = (Number(process.env.MEETING_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Concatenation pipeline statuses after which Chime no longer changes it
+ * @type {string[]}
+ */
+const CONCATENATION_FINAL_STATUSES = ['Stopped', 'Failed'];
+
+/**
+ * Check whether an AWS SDK error means the resource no longer exists
+ * @param {Error} err - Error thrown by an AWS SDK client
+ * @returns {boolean} True for NotFound errors
+ */
+const isNotFoundError = (err) =>
+    err.name === 'NotFoundException' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+/**
+ * Create a new Chime SDK meeting
+ * @param {string} title - Meeting title, used as the external meeting ID
+ * @returns {Promise<Object>} AWS Chime meeting object
+ */
+async function createChimeMeeting(title) {
+    const createMeetingCommand = new CreateMeetingCommand({
+        ClientRequestToken: uuid(),  // Unique token for idempotency
+        MediaRegion: config.mediaRegion,  // AWS region for media routing
+        ExternalMeetingId: title,    // Human-readable meeting identifier
+    });
+    const meetingResult = await chimeClient.send(createMeetingCommand);
+    emitEvent(EVENTS.MEETING_CREATED, {
+        title,
+        meetingId: meetingResult.Meeting.MeetingId,
+        mediaRegion: meetingResult.Meeting.MediaRegion,
+    });
+    return meetingResult.Meeting;
+}
+
+/**
+ * Check whether Chime still knows about a meeting
+ * Chime ends meetings on its own (e.g. nobody joined within five minutes),
+ * after which GetMeeting answers with NotFound.
+ * 
+ * @param {Object} meeting - AWS Chime meeting object
+ * @returns {Promise<boolean>} False when the meeting has ended
+ */
+async function isMeetingAlive(meeting) {
+    try {
+        await chimeClient.send(new GetMeetingCommand({ MeetingId: meeting.MeetingId }));
+        return true;
+    } catch (err) {
+        if (isNotFoundError(err)) return false;
+        throw err;
+    }
+}
+
+/**
+ * Validate the scheduling fields of a create request
+ * 
+ * @param {Object} body - Request body of /api/create
+ * @param {string} [body.scheduledStart] - ISO timestamp (defaults to now)
+ * @param {string} [body.expiresAt] - ISO timestamp after which joins are refused
+ * @param {number} [body.maxAttendees] - Capacity (1 to MAX_MEETING_CAPACITY)
+ * @param {string} [body.description] - Description
+ * @returns {{schedule: ?MeetingSchedule, error: ?string}} Schedule, or a message describing the first invalid field
+ */
+function parseSchedule({ scheduledStart, expiresAt, maxAttendees, description }) {
+    const now = Date.now();
+
+    const startMs = scheduledStart ? Date.parse(scheduledStart) : now;
+    if (Number.isNaN(startMs)) return { schedule: null, error: 'scheduledStart must be an ISO date' };
+
+    let expiresMs = null;
+    if (expiresAt) {
+        expiresMs = Date.parse(expiresAt);
+        if (Number.isNaN(expiresMs)) return { schedule: null, error: 'expiresAt must be an ISO date' };
+        if (expiresMs <= Math.max(startMs, now)) {
+            return { schedule: null, error: 'expiresAt must be in the future and after scheduledStart' };
+        }
+    }
+
+    let capacity = null;
+    if (maxAttendees !== undefined && maxAttendees !== null && maxAttendees !== '') {
+        capacity = Number(maxAttendees);
+        if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_MEETING_CAPACITY) {
+            return { schedule: null, error: `maxAttendees must be a whole number from 1 to ${MAX_MEETING_CAPACITY}` };
+        }
+    }
+
+    const text = String(description || '').trim();
+    if (text.length > MAX_DESCRIPTION_LENGTH) {
+        return { schedule: null, error: `Description is too long (max ${MAX_DESCRIPTION_LENGTH} characters)` };
+    }
+
+    return {
+        schedule: {
+            scheduledStart: new Date(startMs).toISOString(),
+            expiresAt: expiresMs === null ? null : new Date(expiresMs).toISOString(),
+            maxAttendees: capacity,
+            description: text,
+        },
+        error: null,
+    };
+}
+
+/**
+ * Identities (Chime ExternalUserIds) of the participants in a meeting now
+ * Hosts are left out. The roster drops attendees who leave or whose client
+ * goes away, so only people who are still connected are counted.
+ * 
+ * @param {MeetingData} meetingData - Stored meeting data
+ * @returns {Set<string>} Participant identities
+ */
+function participantIdentities(meetingData) {
+    const hosts = new Set(meetingData.hostAttendeeIds || []);
+    return new Set(Object.keys(meetingData.attendees || {})
+        .filter(attendeeId => !hosts.has(attendeeId))
+        .map(attendeeId => (meetingData.externalUserIds || {})[attendeeId] || attendeeId));
+}
+
+/**
+ * Check whether a meeting has no room for another participant
+ * Capacity counts the participants in the meeting now (see
+ * participantIdentities), so hosts always get in and someone rejoining with
+ * their rejoin token is always let back in.
+ * 
+ * @param {MeetingData} meetingData - Stored meeting data
+ * @param {?string} externalUserId - Identity of the participant asking to join (null for a first join)
+ * @returns {boolean} True when the join would exceed maxAttendees
+ */
+function isMeetingFull(meetingData, externalUserId) {
+    const capacity = meetingData.schedule && meetingData.schedule.maxAttendees;
+    if (!capacity) return false;
+    const identities = participantIdentities(meetingData);
+    return !identities.has(externalUserId) && identities.size >= capacity;
+}
+
+/**
+ * Pending ensureLiveMeeting calls per meeting title
+ * Each call waits for the previous one, so concurrent joins cannot each
+ * create a Chime meeting for the same title.
+ * 
+ * @type {Map<string, Promise<MeetingData>>}
+ */
+const meetingCreations = new Map();
+
+/**
+ * Make sure a stored meeting is still live in Chime, transparently
+ * recreating it under the same title when it has expired, or creating it
+ * when a scheduled meeting is joined for the first time. The passcode and
+ * schedule are kept; the roster and any recording pipeline died with the old
+ * meeting. Calls for the same title run one at a time.
+ * 
+ * @param {string} title - Meeting title/identifier
+ * @param {MeetingData} meetingData - Stored meeting data (updated in place)
+ * @param {{meetingId: string, alive: boolean}} [checked] - Liveness the caller already
+ *   got from isMeetingAlive, reused as long as the stored meeting is still that one
+ * @returns {Promise<MeetingData>} Meeting data pointing at a live meeting
+ */
+function ensureLiveMeeting(title, meetingData, checked = null) {
+    const previous = meetingCreations.get(title) || Promise.resolve();
+    // Re-read once it is our turn: the call before may have just created the meeting
+    const current = previous.catch(() => {})
+        .then(async () => refreshMeeting(title, (await store.get(title)) || meetingData, checked));
+    meetingCreations.set(title, current);
+    const release = () => {
+        if (meetingCreations.get(title) === current) meetingCreations.delete(title);
+    };
+    current.then(release, release);
+    return current;
+}
+
+/**
+ * Create or recreate a meeting's Chime meeting when it is missing or has ended
+ * Only called through ensureLiveMeeting.
+ * 
+ * @param {string} title - Meeting title/identifier
+ * @param {MeetingData} meetingData - Stored meeting data (updated in place)
+ * @param {?{meetingId: string, alive: boolean}} checked - Liveness the caller already checked
+ * @returns {Promise<MeetingData>} Meeting data pointing at a live meeting
+ */
+async function refreshMeeting(title, meetingData, checked) {
+    if (!meetingData.meeting) {
+        meetingData.meeting = await createChimeMeeting(title);
+        await store.set(title, meetingData);
+        return meetingData;
+    }
+    // The sweeper may have marked it expired since the caller's check
+    const alive = !meetingData.expired && (checked && checked.meetingId === meetingData.meeting.MeetingId
+        ? checked.alive
+        : await isMeetingAlive(meetingData.meeting));
+    if (alive) {
+        return meetingData;
+    }
+    console.log(`♻️ Meeting "${title}" expired in Chime, recreating`);
+    // The sweeper has already reported meetings it marked expired
+    if (!meetingData.expired) {
+        emitEvent(EVENTS.MEETING_ENDED, { title, meetingId: meetingData.meeting.MeetingId, reason: 'expired' });
+    }
+    await finishRecording(title, meetingData, null, 'meeting-expired');
+    meetingData.meeting = await createChimeMeeting(title);
+    meetingData.attendees = {};
+    meetingData.externalUserIds = {};
+    meetingData.hostAttendeeIds = [];
+    meetingData.removedAttendees = {};
+    meetingData.chat = [];
+    meetingData.raisedHands = {};
+    meetingData.transcription = null;
+    meetingData.expired = false;
+    await store.set(title, meetingData);
+    publish(title, PUSH_EVENTS.ROSTER, rosterEvent(meetingData));
+    return meetingData;
+}
+
+/**
+ * Describe the caller of a privileged route for the recording history
+ * @param {MeetingData} meetingData - Stored meeting data
+ * @param {Object} session - Verified session claims (req.session)
+ * @returns {{attendeeId: ?string, name: string}} Who performed the action
+ */
+const describeActor = (meetingData, session) => ({
+    attendeeId: session.attendeeId || null,
+    name: (session.attendeeId && meetingData.attendees[session.attendeeId]) || 'Host',
+});
+
+/**
+ * Add a recording to a meeting's history
+ * @param {string} title - Meeting title/identifier
+ * @param {RecordingEntry} entry - Recording that just started
+ * @returns {Promise<void>}
+ */
+async function addRecordingEntry(title, entry) {
+    const recordings = (await recordingStore.get(title)) || [];
+    await recordingStore.set(title, [...recordings, entry]);
+}
+
+/**
+ * Mark the meeting's active recording as finished and clear its pipeline ID
+ * The caller is responsible for saving meetingData.
+ * 
+ * @param {string} title - Meeting title/identifier
+ * @param {MeetingData} meetingData - Stored meeting data (updated in place)
+ * @param {?{attendeeId: ?string, name: string}} stoppedBy - Who stopped it, null when it ended with the meeting
+ * @param {string} stopReason - 'stopped', 'meeting-ended' or 'meeting-expired'
+ * @returns {Promise<void>}
+ */
+async function finishRecording(title, meetingData, stoppedBy, stopReason) {
+    const { pipelineId } = meetingData;
+    meetingData.pipelineId = null;
+    if (!pipelineId) return;
+
+    const recordings = (await recordingStore.get(title)) || [];
+    const entry = recordings.find(recording => recording.pipelineId === pipelineId);
+    if (entry) {
+        entry.stoppedBy = stoppedBy;
+        entry.stoppedAt = new Date().toISOString();
+        entry.stopReason = stopReason;
+        await recordingStore.set(title, recordings);
+    }
+    publish(title, PUSH_EVENTS.RECORDING, { recording: false, current: null });
+    emitEvent(EVENTS.RECORDING_STOPPED, {
+        title,
+        pipelineId,
+        stoppedBy,
+        stopReason,
+        s3Prefix: entry ? entry.s3Prefix : null,
+        concatenation: entry ? entry.concatenation || null : null,
+    });
+}
+
+/**
+ * Merge the active recording's chunked artifacts into one audio and one
+ * video file. The concatenation pipeline has to be created while its source
+ * capture pipeline still exists; Chime starts merging once the capture
+ * pipeline is deleted. Failures are logged and recorded on the history entry
+ * rather than thrown, so stopping a recording never fails because of them.
+ * 
+ * @param {string} title - Meeting title/identifier
+ * @param {MeetingData} meetingData - Stored meeting data with an active pipelineId
+ * @returns {Promise<void>}
+ */
+async function concatenateRecording(title, meetingData) {
+    const recordings = (await recordingStore.get(title)) || [];
+    const entry = recordings.find(recording => recording.pipelineId === meetingData.pipelineId);
+    if (!entry || !entry.pipelineArn) return;
+
+    const destination = `${entry.s3Prefix}concatenated/`;
+    const isGrid = entry.mode === 'grid';
+    try {
+        const result = await mediaClient.send(new CreateMediaConcatenationPipelineCommand({
+            Sources: [{
+                Type: 'MediaCapturePipeline',
+                MediaCapturePipelineSourceConfiguration: {
+                    MediaPipelineArn: entry.pipelineArn,
+                    ChimeSdkMeetingConfiguration: {
+                        ArtifactsConfiguration: {
+                            Audio: { State: 'Enabled' },
+                            // Grid recordings merge the composited view, raw ones the camera streams
+                            Video: { State: isGrid ? 'Disabled' : 'Enabled' },
+                            Content: { State: 'Disabled' },
+                            CompositedVideo: { State: isGrid ? 'Enabled' : 'Disabled' },
+                            DataChannel: { State: 'Disabled' },
+                            TranscriptionMessages: { State: entry.transcribed ? 'Enabled' : 'Disabled' },
+                            MeetingEvents: { State: 'Disabled' },
+                        }
+                    }
+                }
+            }],
+            Sinks: [{
+                Type: 'S3Bucket',
+                S3BucketSinkConfiguration: {
+                    Destination: destination.replace(/^s3:\/\//, 'arn:aws:s3:::').replace(/\/$/, '')
+                }
+            }],
+        }));
+        const pipeline = result.MediaConcatenationPipeline;
+        entry.concatenation = {
+            pipelineId: pipeline.MediaPipelineId,
+            status: pipeline.Status || 'Initializing',
+            audio: `${destination}audio/`,
+            video: `${destination}${isGrid ? 'composited-video' : 'video'}/`,
+            ...(entry.transcribed && { transcript: `${destination}transcription-messages/` }),
+            error: null,
+        };
+    } catch (err) {
+        console.error('Recording concatenation error:', err);
+        entry.concatenation = { pipelineId: null, status: 'Failed', audio: null, video: null, error: err.message };
+    }
+    await recordingStore.set(title, recordings);
+}
+
+/**
+ * Refresh the status of concatenation steps that have not finished yet
+ * Chime does not notify us when a concatenation pipeline completes, so the
+ * status is polled whenever the recording history is read.
+ * 
+ * @param {string} title - Meeting title/identifier
+ * @param {RecordingEntry[]} recordings - The meeting's recording history (updated in place)
+ * @returns {Promise<void>}
+ */
+async function refreshConcatenations(title, recordings) {
+    let changed = false;
+    for (const { concatenation } of recordings) {
+        if (!concatenation || !concatenation.pipelineId ||
+            CONCATENATION_FINAL_STATUSES.includes(concatenation.status)) continue;
+
+        try {
+            const result = await mediaClient.send(new GetMediaPipelineCommand({
+                MediaPipelineId: concatenation.pipelineId
+            }));
+            const status = result.MediaPipeline.MediaConcatenationPipeline.Status;
+            if (status === concatenation.status) continue;
+            concatenation.status = status;
+            if (status === 'Failed') concatenation.error = 'Concatenation pipeline failed';
+            changed = true;
+        } catch (err) {
+            // Chime removes finished pipelines after a while
+            if (!isNotFoundError(err)) {
+                console.error('Concatenation status error:', err);
+                continue;
+            }
+            concatenation.status = 'Stopped';
+            changed = true;
+        }
+    }
+    if (changed) await recordingStore.set(title, recordings);
+}
+
+/**
+ * Drop the earlier attendees of someone who just rejoined under the same
+ * external identity (after a page refresh, a network blip or from a second
+ * tab), so the roster holds one entry per person. Their Chime attendees are
+ * deleted, which disconnects a session that is somehow still open.
+ * 
+ * @param {string} title - Meeting title/identifier
+ * @param {MeetingData} meetingData - Stored meeting data (updated in place)
+ * @param {string} externalUserId - Chime ExternalUserId of the attendee who joined
+ * @param {string} attendeeId - Attendee ID they joined with, which is kept
+ * @returns {Promise<string[]>} Attendee IDs that were replaced
+ */
+async function replaceStaleAttendees(title, meetingData, externalUserId, attendeeId) {
+    const stale = Object.entries(meetingData.externalUserIds || {})
+        .filter(([staleId, staleExternalId]) => staleExternalId === externalUserId && staleId !== attendeeId)
+        .map(([staleId]) => staleId);
+    for (const staleId of stale) {
+        delete meetingData.attendees[staleId];
+        delete meetingData.externalUserIds[staleId];
+        try {
+            await chimeClient.send(new DeleteAttendeeCommand({
+                MeetingId: meetingData.meeting.MeetingId,
+                AttendeeId: staleId,
+            }));
+        } catch (err) {
+            // The new attendee is already in; a leftover Chime attendee only costs a slot
+            if (!isNotFoundError(err)) console.error(`Stale attendee cleanup error for "${title}":`, err);
+        }
+    }
+    return stale;
+}
+
+/**
+ * Take an attendee out of a meeting: delete their Chime attendee (which
+ * disconnects a client that is still connected) and drop them from the
+ * roster, the hosts and the raised hands. The caller stores the meeting.
+ * 
+ * @param {MeetingData} meetingData - Stored meeting data (updated in place)
+ * @param {string} attendeeId - Chime attendee ID
+ * @returns {Promise<void>}
+ */
+async function dropAttendee(meetingData, attendeeId) {
+    try {
+        await chimeClient.send(new DeleteAttendeeCommand({
+            MeetingId: meetingData.meeting.MeetingId,
+            AttendeeId: attendeeId,
+        }));
+    } catch (err) {
+        if (!isNotFoundError(err)) throw err;
+    }
+    delete meetingData.attendees[attendeeId];
+    if (meetingData.externalUserIds) delete meetingData.externalUserIds[attendeeId];
+    if (meetingData.raisedHands) delete meetingData.raisedHands[attendeeId];
+    if (meetingData.hostAttendeeIds) {
+        meetingData.hostAttendeeIds = meetingData.hostAttendeeIds.filter(id => id !== attendeeId);
+    }
+}
+
+/**
+ * Drop an attendee whose client went away without leaving (closed the tab or
+ * lost its connection for longer than ATTENDEE_GRACE_MS)
+ * @param {string} title - Meeting title/identifier
+ * @param {string} attendeeId - Chime attendee ID
+ * @returns {Promise<void>}
+ */
+async function dropDepartedAttendee(title, attendeeId) {
+    if (isSubscribed(title, attendeeId)) return;
+    const meetingData = await store.get(title);
+    if (!meetingData || !meetingData.attendees || !(attendeeId in meetingData.attendees)) return;
+    await dropAttendee(meetingData, attendeeId);
+    await store.set(title, meetingData);
+    publish(title, PUSH_EVENTS.ROSTER, rosterEvent(meetingData));
+}
+
+/**
+ * Check after ATTENDEE_GRACE_MS whether an attendee still has a push stream open
+ * @param {string} title - Meeting title/identifier
+ * @param {string} attendeeId - Chime attendee ID
+ */
+function scheduleDepartureCheck(title, attendeeId) {
+    setTimeout(() => {
+        dropDepartedAttendee(title, attendeeId).catch(err => {
+            console.error('Departed attendee cleanup error:', err);
+        });
+    }, ATTENDEE_GRACE_MS).unref();
+}
+
+/**
+ * Payload of a roster event: who is in the meeting, and which of them are hosts
+ * @param {MeetingData} meetingData - Stored meeting data
+ * @returns {{roster: Object.<string, string>, hosts: string[]}} Roster event data
+ */
+function rosterEvent(meetingData) {
+    const roster = meetingData.attendees || {};
+    return { roster, hosts: (meetingData.hostAttendeeIds || []).filter(attendeeId => attendeeId in roster) };
+}
+
+/**
+ * List the raised hands of attendees still in the meeting, in the order they were raised
+ * @param {MeetingData} meetingData - Stored meeting data
+ * @returns {RaisedHand[]} Raised hands, earliest first
+ */
+function listRaisedHands(meetingData) {
+    const attendees = meetingData.attendees || {};
+    return Object.entries(meetingData.raisedHands || {})
+        .filter(([attendeeId]) => attendeeId in attendees)
+        .map(([attendeeId, raisedAt]) => ({ attendeeId, name: attendees[attendeeId], raisedAt }))
+        .sort((a, b) => a.raisedAt.localeCompare(b.raisedAt));
+}
+
+/**
+ * Push channel of one waiting-room request
+ * @param {string} requestId - Waiting-room request ID
+ * @returns {string} Channel name
+ */
+const lobbyChannel = (requestId) => `lobby:${requestId}`;
+
+/**
+ * List the participants still waiting to be admitted, oldest first
+ * @param {MeetingData} meetingData - Stored meeting data
+ * @returns {Array<{requestId: string, name: string, requestedAt: string}>} Waiting participants
+ */
+function listWaiting(meetingData) {
+    return Object.entries(meetingData.lobby || {})
+        .filter(([, request]) => request.status === 'waiting')
+        .map(([requestId, { name, requestedAt }]) => ({ requestId, name, requestedAt }))
+        .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+}
+
+/**
+ * Push the waiting-room queue to the hosts of a meeting
+ * @param {string} title - Meeting title/identifier
+ * @param {MeetingData} meetingData - Stored meeting data
+ */
+function publishLobby(title, meetingData) {
+    publish(title, PUSH_EVENTS.LOBBY, { lobby: listWaiting(meetingData) }, [ROLES.HOST]);
+}
+
+/**
+ * Drop a waiting-room request whose client went away (closed the tab or
+ * lost its connection for longer than LOBBY_GRACE_MS)
+ * @param {string} title - Meeting title/identifier
+ * @param {string} requestId - Waiting-room request ID
+ * @returns {Promise<void>}
+ */
+async function dropAbandonedRequest(title, requestId) {
+    if (hasSubscribers(lobbyChannel(requestId))) return;
+    const meetingData = await store.get(title);
+    const request = meetingData && meetingData.lobby && meetingData.lobby[requestId];
+    if (!request || request.status !== 'waiting') return;
+    delete meetingData.lobby[requestId];
+    await store.set(title, meetingData);
+    publishLobby(title, meetingData);
+}
+
+/**
+ * Background sweeper for expired meetings
  * 
- * @type {Object.<string, MeetingData>}
+ * Meetings that Chime has ended are marked expired and their stale roster and
+ * pipeline are cleared, so the next create/join recreates them. Expired
+ * meetings idle for longer than MEETING_RETENTION_MS are evicted entirely;
+ * scheduled meetings are kept for at least that long after their start.
+ * 
+ * @returns {Promise<void>}
  */
-const meetings = {};
+async function sweepMeetings() {
+    const allMeetings = await store.list();
+    for (const [title, meetingData] of Object.entries(allMeetings)) {
+        try {
+            const scheduledStart = meetingData.schedule ? Date.parse(meetingData.schedule.scheduledStart) : 0;
+            const retainUntil = Math.max(meetingData.lastActiveAt || 0, scheduledStart) + MEETING_RETENTION_MS;
+
+            // Scheduled meetings nobody has joined yet have no Chime meeting to check
+            if (!meetingData.meeting) {
+                if (Date.now() > retainUntil) {
+                    await store.delete(title);
+                    console.log(`🧹 Evicted unused meeting "${title}"`);
+                }
+                continue;
+            }
+
+            if (!meetingData.expired && await isMeetingAlive(meetingData.meeting)) continue;
+
+            // The capture pipeline died with the meeting
+            await finishRecording(title, meetingData, null, 'meeting-expired');
+
+            if (Date.now() > retainUntil) {
+                await store.delete(title);
+                console.log(`🧹 Evicted expired meeting "${title}"`);
+            } else if (!meetingData.expired) {
+                meetingData.expired = true;
+                meetingData.attendees = {};
+                meetingData.externalUserIds = {};
+                meetingData.hostAttendeeIds = [];
+                await store.set(title, meetingData);
+                console.log(`⌛ Meeting "${title}" expired in Chime`);
+                closeMeeting(title, PUSH_EVENTS.MEETING_ENDED, { reason: 'expired' });
+                emitEvent(EVENTS.MEETING_ENDED, { title, meetingId: meetingData.meeting.MeetingId, reason: 'expired' });
+            }
+        } catch (err) {
+            console.error(`Meeting sweep error for "${title}":`, err);
+        }
+    }
+}
 
 /**
  * POST /api/create - Create a new Chime SDK meeting
  * 
- * Creates a new AWS Chime SDK meeting with the specified title. If a meeting
- * with the same title already exists, returns the existing meeting information.
- * This endpoint is idempotent - calling it multiple times with the same title
- * will not create duplicate meetings.
+ * Creates a new AWS Chime SDK meeting with the specified title and protects it
+ * with a passcode. The passcode is either chosen by the caller or generated,
+ * and only its hash is stored. If a meeting with the same title already
+ * exists, returns the existing meeting information without a passcode (the
+ * stored passcode cannot be read back or replaced), recreating it first if
+ * Chime has expired it. This endpoint is
+ * idempotent - calling it multiple times with the same title will not create
+ * duplicate meetings. Meetings can only be joined once they have been created
+ * here.
+ * 
+ * A meeting may be scheduled ahead of time with a start, an expiry after
+ * which joins are refused, a capacity and a description. The Chime meeting
+ * of a meeting that starts in the future is only created on its first join,
+ * so `meeting` is null until then. Scheduling fields are ignored for
+ * meetings that already exist.
+ * 
+ * The creator receives a host token. Presenting it as a bearer token to
+ * /api/join makes the creator join as host. It is only issued when the
+ * meeting is actually created, so nobody can claim the host role of an
+ * existing meeting. Its lifetime (SESSION_TTL_HOURS) counts from the
+ * scheduled start, so it still works for meetings scheduled days ahead.
  * 
  * @route POST /api/create
  * @param {Object} req.body - Request body
  * @param {string} req.body.title - Unique identifier/title for the meeting
+ * @param {string} [req.body.passcode] - Passcode to set; generated when omitted
+ * @param {string} [req.body.scheduledStart] - ISO timestamp the meeting opens at (defaults to now)
+ * @param {string} [req.body.expiresAt] - ISO timestamp after which joins are refused
+ * @param {number} [req.body.maxAttendees] - Most distinct participants admitted, hosts not counted (1-250)
+ * @param {string} [req.body.description] - Description (max 500 characters)
  * 
  * @returns {Object} 200 - Success response
- * @returns {Object} 200.meeting - AWS Chime meeting object
+ * @returns {MeetingSchedule} 200.schedule - Scheduling details (null for meetings stored before scheduling existed)
+ * @returns {?Object} 200.meeting - AWS Chime meeting object (null until a future meeting is first joined)
  * @returns {string} 200.meeting.MeetingId - Unique meeting identifier
  * @returns {string} 200.meeting.MediaRegion - AWS region for media
  * @returns {Object} 200.meeting.MediaPlacement - Media endpoint URLs
+ * @returns {string} [200.passcode] - Plain text passcode (only when the meeting was just created)
+ * @returns {string} [200.hostToken] - Host session token (only when the meeting was just created)
+ * 
+ * @returns {Object} 400 - Passcode too short, or invalid scheduling fields
+ * @returns {string} 400.error - Error message
  * 
  * @returns {Object} 500 - Error response
  * @returns {string} 500.error - Error message
@@ -146,34 +964,72 @@ const meetings = {};
  * @example
  * // Request
  * POST /api/create
- * { "title": "patient-doctor-consultation-123" }
+ * {
+ *   "title": "patient-doctor-consultation-123",
+ *   "scheduledStart": "2026-02-07T09:00:00.000Z",
+ *   "expiresAt": "2026-02-07T10:00:00.000Z",
+ *   "maxAttendees": 3,
+ *   "description": "Follow-up consultation"
+ * }
  * 
  * // Response
  * {
- *   "meeting": {
- *     "MeetingId": "abc-123-def",
- *     "MediaRegion": "us-east-1",
- *     "MediaPlacement": { ... }
- *   }
+ *   "meeting": null,
+ *   "schedule": {
+ *     "scheduledStart": "2026-02-07T09:00:00.000Z",
+ *     "expiresAt": "2026-02-07T10:00:00.000Z",
+ *     "maxAttendees": 3,
+ *     "description": "Follow-up consultation"
+ *   },
+ *   "passcode": "482913",
+ *   "hostToken": "eyJ0aXRsZSI6...Q2f8"
  * }
  */
 app.post('/api/create', async (req, res) => {
-    const { title } = req.body;
+    const { title, passcode } = req.body;
+
+    if (!title) {
+        return res.status(400).json({ error: 'Title is required' });
+    }
+    if (passcode !== undefined && passcode !== '' && String(passcode).length < MIN_PASSCODE_LENGTH) {
+        return res.status(400).json({ error: `Passcode must be at least ${MIN_PASSCODE_LENGTH} characters` });
+    }
+    const { schedule, error } = parseSchedule(req.body);
+    if (error) return res.status(400).json({ error });
+
     try {
+        let meetingData = await store.get(title);
+        let createdPasscode;
         // Check if meeting already exists to avoid duplicates
-        if (!meetings[title]) {
-            // Create a new Chime SDK meeting
-            const createMeetingCommand = new CreateMeetingCommand({
-                ClientRequestToken: uuid(),  // Unique token for idempotency
-                MediaRegion: 'us-east-1',    // AWS region for media routing
-                ExternalMeetingId: title,    // Human-readable meeting identifier
-            });
-            const meetingResult = await chimeClient.send(createMeetingCommand);
+        if (!meetingData) {
+            // Create the Chime SDK meeting now, unless it is scheduled for later
+            const startsNow = Date.parse(schedule.scheduledStart) <= Date.now();
+            const meeting = startsNow ? await createChimeMeeting(title) : null;
+            // Use the chosen passcode or generate one, storing only its hash
+            createdPasscode = passcode ? String(passcode) : generatePasscode();
             // Store meeting data with empty attendees object
-            meetings[title] = { meeting: meetingResult.Meeting, attendees: {} };
+            meetingData = {
+                meeting,
+                schedule,
+                attendees: {},
+                passcodeHash: await hashPasscode(createdPasscode),
+                lastActiveAt: Date.now(),
+            };
+            await store.set(title, meetingData);
+        } else if (meetingData.meeting) {
+            // Never hand out a meeting that Chime has already ended
+            meetingData = await ensureLiveMeeting(title, meetingData);
         }
+
         // Return meeting information (existing or newly created)
-        res.json({ meeting: meetings[title].meeting });
+        res.json({
+            meeting: meetingData.meeting,
+            schedule: meetingData.schedule || null,
+            passcode: createdPasscode,
+            hostToken: createdPasscode
+                ? issueToken({ title, role: ROLES.HOST }, Date.parse(schedule.scheduledStart))
+                : undefined,
+        });
     } catch (err) {
         // Handle AWS SDK errors or other exceptions
         res.status(500).json({ error: err.message });
@@ -181,132 +1037,1117 @@ app.post('/api/create', async (req, res) => {
 });
 
 /**
- * GET /api/roster/:title - Get current attendee roster for a meeting
+ * GET /api/meetings/:title - Get a meeting's schedule
  * 
- * Retrieves the current list of attendees in a meeting without creating
- * a new attendee. Used for real-time roster synchronization when new
- * participants join.
+ * Lets the host of a meeting (with the host token from /api/create) see its
+ * scheduling details, e.g. to list their upcoming meetings.
  * 
- * @route GET /api/roster/:title
+ * @route GET /api/meetings/:title
+ * @param {string} req.headers.authorization - `Bearer <host token>`
  * @param {string} req.params.title - Meeting title/identifier
  * 
  * @returns {Object} 200 - Success response
- * @returns {Object.<string, string>} 200.roster - Map of attendeeId to attendee name
+ * @returns {string} 200.title - Meeting title/identifier
+ * @returns {?MeetingSchedule} 200.schedule - Scheduling details (null for meetings stored before scheduling existed)
+ * @returns {boolean} 200.started - Whether the meeting has been joined (it has a Chime meeting)
+ * @returns {number} 200.attendeeCount - Participants in the meeting now, hosts not counted (as for maxAttendees)
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
  * 
  * @returns {Object} 404 - Meeting not found
  * @returns {string} 404.error - Error message
  * 
  * @example
  * // Request
- * GET /api/roster/patient-doctor-consultation-123
+ * GET /api/meetings/patient-doctor-consultation-123
  * 
  * // Response
  * {
- *   "roster": {
- *     "xyz-456": "Dr. Smith",
- *     "def-789": "Patient John"
- *   }
+ *   "title": "patient-doctor-consultation-123",
+ *   "schedule": {
+ *     "scheduledStart": "2026-02-07T09:00:00.000Z",
+ *     "expiresAt": "2026-02-07T10:00:00.000Z",
+ *     "maxAttendees": 3,
+ *     "description": "Follow-up consultation"
+ *   },
+ *   "started": false,
+ *   "attendeeCount": 0
+ * }
+ */
+app.get('/api/meetings/:title', requireRole(ROLES.HOST), async (req, res) => {
+    const { title } = req.params;
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        res.json({
+            title,
+            schedule: meetingData.schedule || null,
+            started: Boolean(meetingData.meeting),
+            attendeeCount: participantIdentities(meetingData).size,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/events/:title - Push channel for a meeting (Server-Sent Events)
+ * 
+ * Holds the connection open and streams the meeting's state to the client:
+ * - `roster`: `{ roster, hosts }` (attendeeId to name, and the attendee IDs of hosts) after every join or removal
+ * - `recording`: `{ recording, current }` when a recording starts or stops
+ * - `meeting-ended`: `{ reason }` ('ended-by-host' or 'expired'), after which the stream closes
+ * - `lobby`: `{ lobby }` (participants waiting to be admitted) whenever the waiting room changes, hosts only
+ * 
+ * A `roster` and a `recording` event (and for hosts a `lobby` event) with the
+ * current state are sent as soon as the stream opens. Requires a session token for the meeting; since
+ * EventSource cannot set headers, it may be passed as `?token=`.
+ * 
+ * @route GET /api/events/:title
+ * @param {string} req.query.token - Session token (or `Authorization: Bearer <session token>`)
+ * @param {string} req.params.title - Meeting title/identifier
+ * 
+ * @returns {text/event-stream} 200 - Event stream
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Token belongs to another meeting, or caller is no longer in it
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @example
+ * // Request
+ * GET /api/events/patient-doctor-consultation-123?token=eyJ0aXRsZSI6...9aKc
+ * 
+ * // Stream
+ * event: roster
+ * data: {"roster":{"xyz-456":"Dr. Smith","def-789":"Patient John"}}
+ * 
+ * event: recording
+ * data: {"recording":false,"current":null}
+ */
+app.get('/api/events/:title', requireStreamRole(ROLES.HOST, ROLES.PARTICIPANT), async (req, res) => {
+    const { title } = req.params;
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+        // Removed (or departed) attendees keep a valid token but lose the stream
+        if (!(req.session.attendeeId in (meetingData.attendees || {}))) {
+            return res.status(403).json({ error: 'You are no longer in this meeting' });
+        }
+
+        const recordings = meetingData.pipelineId ? (await recordingStore.get(title)) || [] : [];
+        const current = recordings.find(recording => recording.pipelineId === meetingData.pipelineId) || null;
+        const snapshot = [
+            [PUSH_EVENTS.ROSTER, rosterEvent(meetingData)],
+            [PUSH_EVENTS.RECORDING, { recording: Boolean(meetingData.pipelineId), current }],
+        ];
+        if (req.session.role === ROLES.HOST) {
+            snapshot.push([PUSH_EVENTS.LOBBY, { lobby: listWaiting(meetingData) }]);
+        }
+        subscribe(title, req, res, snapshot, req.session.role, req.session.attendeeId);
+        req.on('close', () => scheduleDepartureCheck(title, req.session.attendeeId));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/join - Join an existing meeting
+ * 
+ * Allows a user to join a Chime SDK meeting created with /api/create. The
+ * passcode is verified on the server before any attendee is created. Creates a
+ * new attendee for the user and returns both the meeting and attendee
+ * information along with the current roster of all participants. A meeting
+ * that Chime has already expired is recreated under the same title, and a
+ * scheduled meeting gets its Chime meeting on the first join.
+ * 
+ * Joins are refused with a distinct `code` for unknown titles, before the
+ * scheduled start (participants may join MEETING_EARLY_JOIN_MINUTES early,
+ * hosts at any time), after the meeting's expiry and when it is at capacity.
+ * After several wrong passcodes in a row from one client address, that
+ * client is refused for a few minutes; callers presenting a valid host or
+ * rejoin token are not held back by the lockout.
+ * 
+ * Every attendee receives a session token. Callers presenting the host token
+ * from /api/create (as `Authorization: Bearer <token>`) join as host;
+ * everyone else joins as participant.
+ * 
+ * Participants go through the waiting room: instead of JoinInfo they get a
+ * 202 with a waiting-room token, and the host is shown their request. Once
+ * the host admits them (GET /api/lobby/:title/events reports it), they call
+ * this route again with the waiting-room token as bearer token and join
+ * under the name they asked with.
+ * 
+ * Every successful join also returns a rejoin token. Sending it back as
+ * `rejoinToken` (after a page refresh or a dropped connection) reuses the
+ * same Chime ExternalUserId and replaces the attendee's earlier roster entry
+ * instead of adding a second one. Participants rejoining the same Chime
+ * meeting skip the waiting room, since the host has already admitted them.
+ * 
+ * @route POST /api/join
+ * @param {string} [req.headers.authorization] - Optional `Bearer <hostToken>`, or `Bearer <lobbyToken>` once admitted
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier to join
+ * @param {string} req.body.name - Display name of the attendee
+ * @param {string} req.body.passcode - Meeting passcode
+ * @param {string} [req.body.rejoinToken] - Rejoin token from an earlier join of this meeting
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {Object} 200.JoinInfo - Information needed to join the meeting
+ * @returns {Object} 200.JoinInfo.Meeting - AWS Chime meeting object
+ * @returns {Object} 200.JoinInfo.Attendee - AWS Chime attendee object
+ * @returns {string} 200.JoinInfo.Attendee.AttendeeId - Unique attendee identifier
+ * @returns {string} 200.JoinInfo.Attendee.ExternalUserId - External user identifier
+ * @returns {Object.<string, string>} 200.Roster - Map of attendeeId to attendee name
+ * @returns {string[]} 200.Hosts - Attendee IDs of the hosts in the roster
+ * @returns {string} 200.SessionToken - Role-bearing token for privileged routes
+ * @returns {string} 200.RejoinToken - Token to send as `rejoinToken` when joining again
+ * @returns {string} 200.Role - 'host' or 'participant'
+ * @returns {?{language: string, startedAt: string}} 200.Transcription - Live transcription already running, null otherwise
+ * 
+ * @returns {Object} 202 - Participant is waiting for the host to admit them
+ * @returns {boolean} 202.Waiting - Always true
+ * @returns {string} 202.RequestId - Waiting-room request ID
+ * @returns {string} 202.LobbyToken - Waiting-room token for /api/lobby/:title/events and the admitted join
+ * 
+ * @returns {Object} 400 - Missing passcode
+ * @returns {string} 400.error - Error message
+ * 
+ * @returns {Object} 401 - Incorrect passcode
+ * @returns {string} 401.error - Error message
+ * 
+ * @returns {Object} 403 - Attendee was removed from this meeting by the host
+ * @returns {string} 403.error - Error message
+ * 
+ * @returns {Object} 404 - No meeting with this title (code 'MEETING_NOT_FOUND')
+ * @returns {Object} 409 - Meeting is at capacity (code 'MEETING_FULL')
+ * @returns {Object} 410 - Meeting has expired (code 'MEETING_EXPIRED')
+ * @returns {Object} 425 - Meeting has not started yet (code 'MEETING_NOT_STARTED', with `startsAt`)
+ * @returns {string} 4xx.error - Error message
+ * @returns {string} 4xx.code - Machine-readable reason
+ * 
+ * @returns {Object} 429 - Too many failed attempts from this client
+ * @returns {string} 429.error - Error message
+ * 
+ * @returns {Object} 500 - Error response
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/join
+ * { "title": "patient-doctor-consultation-123", "name": "Dr. Smith", "passcode": "482913" }
+ * 
+ * // Response
+ * {
+ *   "JoinInfo": {
+ *     "Meeting": { "MeetingId": "abc-123", ... },
+ *     "Attendee": { "AttendeeId": "xyz-456", ... }
+ *   },
+ *   "Roster": {
+ *     "xyz-456": "Dr. Smith",
+ *     "def-789": "Patient John"
+ *   },
+ *   "Hosts": ["xyz-456"],
+ *   "SessionToken": "eyJ0aXRsZSI6...9aKc",
+ *   "RejoinToken": "eyJ0aXRsZSI6...W1s0",
+ *   "Role": "host",
+ *   "Transcription": null
+ * }
+ * 
+ * // Response (participant, 202)
+ * {
+ *   "Waiting": true,
+ *   "RequestId": "5f0c2a1e-...",
+ *   "LobbyToken": "eyJ0aXRsZSI6...c9Xa"
+ * }
+ */
+app.post('/api/join', async (req, res) => {
+    const { title, passcode } = req.body;
+    let { name } = req.body;
+
+    if (!passcode) {
+        return res.status(400).json({ error: 'Passcode is required' });
+    }
+
+    // Callers holding this meeting's host token join as host
+    const presented = verifyToken(getBearerToken(req));
+    const role = presented && presented.title === title && presented.role === ROLES.HOST
+        ? ROLES.HOST
+        : ROLES.PARTICIPANT;
+
+    // Attendees coming back with a rejoin token keep their identity
+    const rejoin = verifyToken(req.body.rejoinToken);
+    const previous = rejoin && rejoin.title === title && rejoin.role === ROLES.REJOIN ? rejoin : null;
+
+    // Refuse joins from a client locked out after repeated failures; a host
+    // or rejoin token proves the caller already got in once
+    const lockoutRemaining = role === ROLES.HOST || previous ? 0 : getLockoutRemaining(title, req.ip);
+    if (lockoutRemaining > 0) {
+        res.set('Retry-After', String(Math.ceil(lockoutRemaining / 1000)));
+        return res.status(429).json({ error: 'Too many failed attempts. Please try again later.' });
+    }
+
+    try {
+        let meetingData = await store.get(title);
+
+        // Meetings must be created ahead of time, so a typo never opens a stray room
+        if (!meetingData) {
+            return res.status(404).json({ error: 'Meeting not found', code: 'MEETING_NOT_FOUND' });
+        }
+
+        // Verify the passcode before creating any attendee
+        if (meetingData.passcodeHash) {
+            if (!(await verifyPasscode(String(passcode), meetingData.passcodeHash))) {
+                recordFailedAttempt(title, req.ip);
+                return res.status(401).json({ error: 'Incorrect passcode' });
+            }
+            clearFailedAttempts(title, req.ip);
+        }
+
+        // Participants the host admitted from the waiting room present their waiting-room token
+        const lobbyRequestId = presented && presented.title === title && presented.role === ROLES.WAITING
+            ? presented.requestId
+            : null;
+        const lobbyRequest = lobbyRequestId && meetingData.lobby ? meetingData.lobby[lobbyRequestId] : null;
+        const admitted = Boolean(lobbyRequest) && lobbyRequest.status === 'admitted';
+        if (admitted) {
+            name = lobbyRequest.name;
+        }
+
+        // Enforce the scheduled window
+        const { schedule } = meetingData;
+        if (schedule) {
+            const now = Date.now();
+            if (schedule.expiresAt && now >= Date.parse(schedule.expiresAt)) {
+                return res.status(410).json({ error: 'This meeting has expired', code: 'MEETING_EXPIRED' });
+            }
+            if (role !== ROLES.HOST && now < Date.parse(schedule.scheduledStart) - EARLY_JOIN_MS) {
+                return res.status(425).json({
+                    error: `This meeting starts at ${schedule.scheduledStart}`,
+                    code: 'MEETING_NOT_STARTED',
+                    startsAt: schedule.scheduledStart,
+                });
+            }
+        }
+
+        // Only look at the Chime meeting for now: it is created or recreated
+        // once the caller is let in, so the waiting room never starts it.
+        // The roster of a meeting that has ended is about to be reset.
+        const checked = meetingData.meeting && !meetingData.expired
+            ? { meetingId: meetingData.meeting.MeetingId, alive: await isMeetingAlive(meetingData.meeting) }
+            : null;
+        const live = Boolean(checked) && checked.alive;
+
+        // Who the caller is: from their rejoin token, or the one they entered the waiting room with
+        const identity = previous ? previous.externalUserId : (lobbyRequest && lobbyRequest.externalUserId) || null;
+
+        // Attendees removed by the host stay out for the rest of the meeting
+        const wasRemoved = live && Boolean(identity) && meetingData.removedAttendees
+            && meetingData.removedAttendees[identity] !== undefined;
+        if (wasRemoved) {
+            return res.status(403).json({ error: 'You were removed from this meeting by the host' });
+        }
+        if (live && role !== ROLES.HOST && isMeetingFull(meetingData, identity)) {
+            return res.status(409).json({ error: 'This meeting is full', code: 'MEETING_FULL' });
+        }
+
+        meetingData.lastActiveAt = Date.now();
+
+        // Participants wait until the host admits them; asking again keeps their place.
+        // Those rejoining the same Chime meeting were admitted before.
+        const returning = live && Boolean(previous) && previous.meetingId === meetingData.meeting.MeetingId;
+        if (role === ROLES.PARTICIPANT && !admitted && !returning) {
+            const requestId = lobbyRequest ? lobbyRequestId : uuid();
+            if (!lobbyRequest) {
+                meetingData.lobby = {
+                    ...meetingData.lobby,
+                    [requestId]: {
+                        name,
+                        requestedAt: new Date().toISOString(),
+                        status: 'waiting',
+                        ...(identity ? { externalUserId: identity } : {}),
+                    },
+                };
+                await store.set(title, meetingData);
+                publishLobby(title, meetingData);
+            }
+            return res.status(202).json({
+                Waiting: true,
+                RequestId: requestId,
+                LobbyToken: issueToken({ title, role: ROLES.WAITING, requestId }),
+            });
+        }
+
+        // Use the existing meeting, creating or recreating it in Chime as needed
+        meetingData = await ensureLiveMeeting(title, meetingData, checked);
+        const { meeting } = meetingData;
+
+        // Meetings stored before passcodes existed are protected with the
+        // passcode of the first person to join
+        if (!meetingData.passcodeHash) {
+            meetingData.passcodeHash = await hashPasscode(String(passcode));
+        }
+
+        // Create a new attendee for this user (Chime hands back the existing
+        // attendee when the same identity is still in the meeting)
+        const externalUserId = identity || uuid();
+        const createAttendeeCommand = new CreateAttendeeCommand({
+            MeetingId: meeting.MeetingId,     // Associate with the meeting
+            ExternalUserId: externalUserId,   // Stable identifier for this person
+        });
+        const attendeeResult = await chimeClient.send(createAttendeeCommand);
+
+        // Store attendee name in the roster
+        const attendeeId = attendeeResult.Attendee.AttendeeId;
+        // Ensure attendees object exists (defensive programming)
+        if (!meetingData.attendees) {
+            meetingData.attendees = {};
+        }
+        meetingData.attendees[attendeeId] = name;
+        meetingData.externalUserIds = { ...meetingData.externalUserIds, [attendeeId]: externalUserId };
+        await replaceStaleAttendees(title, meetingData, externalUserId, attendeeId);
+        if (role === ROLES.HOST) {
+            meetingData.hostAttendeeIds = [...rosterEvent(meetingData).hosts.filter(id => id !== attendeeId), attendeeId];
+        }
+        if (admitted) {
+            delete meetingData.lobby[lobbyRequestId];
+        }
+        await store.set(title, meetingData);
+        publish(title, PUSH_EVENTS.ROSTER, rosterEvent(meetingData));
+        // Attendees whose client never opens its push stream are dropped again
+        scheduleDepartureCheck(title, attendeeId);
+        emitEvent(EVENTS.ATTENDEE_JOINED, {
+            title,
+            meetingId: meeting.MeetingId,
+            attendeeId,
+            name,
+            role,
+            rejoined: Boolean(previous),
+        });
+
+        // Return meeting info, attendee credentials, current roster and session
+        res.json({
+            JoinInfo: {
+                Meeting: meeting,
+                Attendee: attendeeResult.Attendee,
+            },
+            Roster: meetingData.attendees,  // All current participants
+            Hosts: rosterEvent(meetingData).hosts,
+            SessionToken: issueToken({ title, role, attendeeId }),
+            RejoinToken: issueToken({
+                title,
+                role: ROLES.REJOIN,
+                attendeeId,
+                externalUserId,
+                meetingId: meeting.MeetingId,
+            }),
+            Role: role,
+            Transcription: meetingData.transcription || null,
+        });
+    } catch (err) {
+        console.error('Error joining meeting:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/lobby/:title/events - Waiting-room channel (Server-Sent Events)
+ * 
+ * Holds the connection open for a participant in the waiting room and tells
+ * them what the host decided:
+ * - `lobby-status`: `{ status }`, 'waiting' when the stream opens, then
+ *   'admitted' (join again with the waiting-room token) or 'denied', after
+ *   which the stream closes
+ * - `meeting-ended`: `{ reason }` when the host ends the meeting, after which the stream closes
+ * 
+ * Requires the waiting-room token from /api/join, which may be passed as
+ * `?token=`. A request whose stream stays closed for longer than
+ * LOBBY_GRACE_MS is dropped from the waiting room.
+ * 
+ * @route GET /api/lobby/:title/events
+ * @param {string} req.query.token - Waiting-room token (or `Authorization: Bearer <lobbyToken>`)
+ * @param {string} req.params.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Event stream (text/event-stream)
+ * 
+ * @returns {Object} 401 - Missing or invalid waiting-room token
+ * @returns {Object} 403 - Token belongs to another meeting
+ * 
+ * @returns {Object} 404 - Meeting or waiting-room request not found (denied, abandoned or ended)
+ * @returns {string} 404.error - Error message
+ * 
+ * @example
+ * // Request
+ * GET /api/lobby/patient-doctor-consultation-123/events?token=eyJ0aXRsZSI6...c9Xa
+ * 
+ * // Stream
+ * event: lobby-status
+ * data: {"status":"waiting"}
+ * 
+ * event: lobby-status
+ * data: {"status":"admitted"}
+ */
+app.get('/api/lobby/:title/events', requireStreamRole(ROLES.WAITING), async (req, res) => {
+    const { title } = req.params;
+    const { requestId } = req.session;
+    try {
+        const meetingData = await store.get(title);
+        const request = meetingData && meetingData.lobby && meetingData.lobby[requestId];
+        if (!request) return res.status(404).json({ error: 'Waiting-room request not found' });
+
+        subscribe(lobbyChannel(requestId), req, res, [[PUSH_EVENTS.LOBBY_STATUS, { status: request.status }]], ROLES.WAITING);
+        req.on('close', () => {
+            setTimeout(() => {
+                dropAbandonedRequest(title, requestId).catch(err => {
+                    console.error('Waiting-room cleanup error:', err);
+                });
+            }, LOBBY_GRACE_MS).unref();
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/lobby/admit - Admit a participant from the waiting room
+ * 
+ * Marks the request as admitted and tells the waiting client, which then
+ * joins on its own. Requires a host session token for the meeting.
+ * 
+ * @route POST /api/lobby/admit
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * @param {string} req.body.requestId - Waiting-room request ID
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.message - Confirmation message
+ * @returns {Array<{requestId: string, name: string, requestedAt: string}>} 200.lobby - Participants still waiting
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
+ * @returns {Object} 404 - Meeting not found, or nobody with this request is waiting
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/lobby/admit
+ * { "title": "patient-doctor-consultation-123", "requestId": "5f0c2a1e-..." }
+ * 
+ * // Response
+ * {
+ *   "message": "Patient John was admitted",
+ *   "lobby": []
+ * }
+ */
+app.post('/api/lobby/admit', requireRole(ROLES.HOST), async (req, res) => {
+    const { title, requestId } = req.body;
+
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        const request = meetingData.lobby && meetingData.lobby[requestId];
+        if (!request || request.status !== 'waiting') {
+            return res.status(404).json({ error: 'Nobody with this request is waiting' });
+        }
+
+        request.status = 'admitted';
+        await store.set(title, meetingData);
+        publish(lobbyChannel(requestId), PUSH_EVENTS.LOBBY_STATUS, { status: 'admitted' });
+        publishLobby(title, meetingData);
+
+        res.json({ message: `${request.name} was admitted`, lobby: listWaiting(meetingData) });
+    } catch (err) {
+        console.error('Admit error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/lobby/deny - Turn a participant away from the waiting room
+ * 
+ * Drops the request and tells the waiting client it was denied. The
+ * participant may ask to join again. Requires a host session token for the
+ * meeting.
+ * 
+ * @route POST /api/lobby/deny
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * @param {string} req.body.requestId - Waiting-room request ID
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.message - Confirmation message
+ * @returns {Array<{requestId: string, name: string, requestedAt: string}>} 200.lobby - Participants still waiting
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
+ * @returns {Object} 404 - Meeting not found, or nobody with this request is waiting
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/lobby/deny
+ * { "title": "patient-doctor-consultation-123", "requestId": "5f0c2a1e-..." }
+ * 
+ * // Response
+ * {
+ *   "message": "Patient John was denied",
+ *   "lobby": []
+ * }
+ */
+app.post('/api/lobby/deny', requireRole(ROLES.HOST), async (req, res) => {
+    const { title, requestId } = req.body;
+
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        const request = meetingData.lobby && meetingData.lobby[requestId];
+        if (!request || request.status !== 'waiting') {
+            return res.status(404).json({ error: 'Nobody with this request is waiting' });
+        }
+
+        delete meetingData.lobby[requestId];
+        await store.set(title, meetingData);
+        closeMeeting(lobbyChannel(requestId), PUSH_EVENTS.LOBBY_STATUS, { status: 'denied' });
+        publishLobby(title, meetingData);
+
+        res.json({ message: `${request.name} was denied`, lobby: listWaiting(meetingData) });
+    } catch (err) {
+        console.error('Deny error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/leave - Leave a meeting
+ * 
+ * Called by the client when the user leaves on purpose. Deletes the caller's
+ * Chime attendee and drops them from the roster, so it only lists people who
+ * are still in the meeting. Clients that go away without calling this (a
+ * closed tab) are dropped once their push stream has been closed for
+ * ATTENDEE_GRACE_MS.
+ * 
+ * @route POST /api/leave
+ * @param {string} req.headers.authorization - `Bearer <session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Success response (also when the caller had already left)
+ * @returns {string} 200.message - Confirmation message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Token belongs to another meeting
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/leave
+ * { "title": "patient-doctor-consultation-123" }
+ * 
+ * // Response
+ * { "message": "Left the meeting" }
+ */
+app.post('/api/leave', requireRole(ROLES.HOST, ROLES.PARTICIPANT), async (req, res) => {
+    const { title } = req.body;
+    const { attendeeId } = req.session;
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        if (meetingData.attendees && attendeeId in meetingData.attendees) {
+            await dropAttendee(meetingData, attendeeId);
+            await store.set(title, meetingData);
+            publish(title, PUSH_EVENTS.ROSTER, rosterEvent(meetingData));
+        }
+        res.json({ message: 'Left the meeting' });
+    } catch (err) {
+        console.error('Leave error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/attendee/remove - Remove a participant from a meeting
+ * 
+ * Deletes the Chime attendee (which disconnects their client), closes their
+ * push stream, removes them from the roster and refuses their rejoin identity (the external user ID
+ * carried by their rejoin token) for the rest of the meeting. Requires a host
+ * session token for the meeting.
+ * 
+ * @route POST /api/attendee/remove
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * @param {string} req.body.attendeeId - Chime attendee ID to remove
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.message - Confirmation message
+ * @returns {Object.<string, string>} 200.roster - Updated map of attendeeId to attendee name
+ * 
+ * @returns {Object} 400 - Host tried to remove themselves
+ * @returns {string} 400.error - Error message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
+ * @returns {Object} 404 - Meeting or attendee not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/attendee/remove
+ * { "title": "patient-doctor-consultation-123", "attendeeId": "def-789" }
+ * 
+ * // Response
+ * {
+ *   "message": "Patient John was removed",
+ *   "roster": { "xyz-456": "Dr. Smith" }
+ * }
+ */
+app.post('/api/attendee/remove', requireRole(ROLES.HOST), async (req, res) => {
+    const { title, attendeeId } = req.body;
+
+    if (attendeeId === req.session.attendeeId) {
+        return res.status(400).json({ error: 'You cannot remove yourself' });
+    }
+
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        const name = meetingData.attendees[attendeeId];
+        if (name === undefined) return res.status(404).json({ error: 'Attendee not found' });
+
+        // Drop them (which disconnects their client) and remember their identity so they cannot rejoin
+        const externalUserId = (meetingData.externalUserIds || {})[attendeeId] || attendeeId;
+        await dropAttendee(meetingData, attendeeId);
+        meetingData.removedAttendees = { ...meetingData.removedAttendees, [externalUserId]: name };
+        await store.set(title, meetingData);
+        closeAttendee(title, attendeeId);
+        publish(title, PUSH_EVENTS.ROSTER, rosterEvent(meetingData));
+        emitEvent(EVENTS.ATTENDEE_REMOVED, {
+            title,
+            meetingId: meetingData.meeting.MeetingId,
+            attendeeId,
+            name,
+            removedBy: describeActor(meetingData, req.session),
+        });
+
+        res.json({ message: `${name} was removed`, roster: meetingData.attendees });
+    } catch (err) {
+        console.error('Remove attendee error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * A moderation command as issued by the server and relayed to clients
+ * 
+ * @typedef {Object} ModerationCommand
+ * @property {string} id - Unique command identifier
+ * @property {string} action - One of MODERATION_ACTIONS
+ * @property {?string} attendeeId - Participant the command is for (null for `mute-all`)
+ * @property {string} hostAttendeeId - Chime attendee ID of the host who issued it
+ * @property {string} hostName - Display name of that host
+ * @property {string} issuedAt - ISO timestamp assigned by the server
+ */
+
+/**
+ * POST /api/moderation - Mute participants or ask one to unmute
+ * 
+ * Checks that the caller is the meeting's host and that the target is in the
+ * meeting, then returns the command for the host's client to send over the
+ * meeting's realtime data-message channel (topic `moderation`). Participants
+ * only obey commands whose data message Chime reports as sent by one of the
+ * hosts listed in the roster, so other attendees cannot mute anyone. Nobody
+ * can be unmuted remotely: `ask-unmute` only prompts the participant.
+ * Requires a host session token for the meeting.
+ * 
+ * @route POST /api/moderation
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * @param {string} req.body.action - 'mute', 'mute-all' or 'ask-unmute'
+ * @param {string} [req.body.attendeeId] - Participant to mute or ask (not used by 'mute-all')
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.message - Confirmation message
+ * @returns {ModerationCommand} 200.command - Command to relay to the meeting
+ * 
+ * @returns {Object} 400 - Unknown action, missing participant, or the host targeted themselves
+ * @returns {string} 400.error - Error message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting, or no longer in it
+ * 
+ * @returns {Object} 404 - Meeting or attendee not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/moderation
+ * { "title": "patient-doctor-consultation-123", "action": "mute", "attendeeId": "def-789" }
+ * 
+ * // Response
+ * {
+ *   "message": "Patient John was muted",
+ *   "command": { "id": "9b2...", "action": "mute", "attendeeId": "def-789", "hostAttendeeId": "xyz-456", "hostName": "Dr. Smith", "issuedAt": "2026-02-07T04:41:02.512Z" }
  * }
  */
-app.get('/api/roster/:title', (req, res) => {
+app.post('/api/moderation', requireRole(ROLES.HOST), async (req, res) => {
+    const { title, action } = req.body;
+    const attendeeId = action === 'mute-all' ? null : req.body.attendeeId;
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of: ${MODERATION_ACTIONS.join(', ')}` });
+    }
+    if (action !== 'mute-all' && !attendeeId) {
+        return res.status(400).json({ error: 'attendeeId is required' });
+    }
+    if (attendeeId === req.session.attendeeId) {
+        return res.status(400).json({ error: 'Use your own microphone button instead' });
+    }
+
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        const hostAttendeeId = req.session.attendeeId;
+        // Removed or replaced hosts keep a valid token but lose their say
+        if (!rosterEvent(meetingData).hosts.includes(hostAttendeeId)) {
+            return res.status(403).json({ error: 'You are no longer in this meeting' });
+        }
+        const name = attendeeId && meetingData.attendees[attendeeId];
+        if (attendeeId && name === undefined) return res.status(404).json({ error: 'Attendee not found' });
+
+        const command = {
+            id: uuid(),
+            action,
+            attendeeId,
+            hostAttendeeId,
+            hostName: meetingData.attendees[hostAttendeeId],
+            issuedAt: new Date().toISOString(),
+        };
+        const message = {
+            'mute': `${name} was muted`,
+            'mute-all': 'Everyone else was muted',
+            'ask-unmute': `${name} was asked to unmute`,
+        }[action];
+
+        res.json({ message, command });
+    } catch (err) {
+        console.error('Moderation error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * A chat message as stored and relayed to clients
+ * 
+ * @typedef {Object} ChatMessage
+ * @property {string} id - Unique message identifier
+ * @property {string} attendeeId - Chime attendee ID of the sender
+ * @property {string} name - Display name of the sender
+ * @property {string} text - Message text
+ * @property {string} sentAt - ISO timestamp assigned by the server
+ */
+
+/**
+ * GET /api/chat/:title - Get the chat history of a meeting
+ * 
+ * Lets people who join late catch up on earlier messages. Live messages
+ * travel over the meeting's realtime data-message channel. Requires a
+ * session token for the meeting.
+ * 
+ * @route GET /api/chat/:title
+ * @param {string} req.headers.authorization - `Bearer <session token>`
+ * @param {string} req.params.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {ChatMessage[]} 200.messages - Chat history, oldest first
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Token belongs to another meeting, or caller is no longer in it
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @example
+ * // Request
+ * GET /api/chat/patient-doctor-consultation-123
+ * 
+ * // Response
+ * {
+ *   "messages": [
+ *     { "id": "f1c...", "attendeeId": "xyz-456", "name": "Dr. Smith", "text": "Amoxicillin, 500mg", "sentAt": "2026-02-07T04:40:30.123Z" }
+ *   ]
+ * }
+ */
+app.get('/api/chat/:title', requireRole(ROLES.HOST, ROLES.PARTICIPANT), async (req, res) => {
     const { title } = req.params;
-    const meetingData = meetings[title];
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+        // Removed attendees keep a valid token but lose access to the chat
+        if (!(req.session.attendeeId in meetingData.attendees)) {
+            return res.status(403).json({ error: 'You are no longer in this meeting' });
+        }
+
+        res.json({ messages: meetingData.chat || [] });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/chat/:title - Store a chat message
+ * 
+ * Saves a message to the meeting's history before the client relays it over
+ * the realtime data-message channel. The sender name is taken from the roster
+ * rather than the request so it cannot be spoofed. Requires a session token
+ * for the meeting.
+ * 
+ * @route POST /api/chat/:title
+ * @param {string} req.headers.authorization - `Bearer <session token>`
+ * @param {string} req.params.title - Meeting title/identifier
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.text - Message text
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {ChatMessage} 200.message - The stored message
+ * 
+ * @returns {Object} 400 - Empty or overly long message
+ * @returns {string} 400.error - Error message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Token belongs to another meeting, or caller is no longer in it
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/chat/patient-doctor-consultation-123
+ * { "text": "Amoxicillin, 500mg" }
+ * 
+ * // Response
+ * {
+ *   "message": { "id": "f1c...", "attendeeId": "xyz-456", "name": "Dr. Smith", "text": "Amoxicillin, 500mg", "sentAt": "2026-02-07T04:40:30.123Z" }
+ * }
+ */
+app.post('/api/chat/:title', requireRole(ROLES.HOST, ROLES.PARTICIPANT), async (req, res) => {
+    const { title } = req.params;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) return res.status(400).json({ error: 'Message text is required' });
+    if (text.length > MAX_CHAT_MESSAGE_LENGTH) {
+        return res.status(400).json({ error: `Messages are limited to ${MAX_CHAT_MESSAGE_LENGTH} characters` });
+    }
+
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        const { attendeeId } = req.session;
+        // Removed attendees keep a valid token but lose access to the chat
+        if (!(attendeeId in meetingData.attendees)) {
+            return res.status(403).json({ error: 'You are no longer in this meeting' });
+        }
+
+        const message = {
+            id: uuid(),
+            attendeeId,
+            name: meetingData.attendees[attendeeId],
+            text,
+            sentAt: new Date().toISOString(),
+        };
+        // Non-Latin scripts and emoji take several bytes per character
+        if (Buffer.byteLength(JSON.stringify(message), 'utf8') > MAX_CHAT_MESSAGE_BYTES) {
+            return res.status(400).json({ error: 'This message is too long to send' });
+        }
+        // Keep only the most recent messages
+        meetingData.chat = [...(meetingData.chat || []), message].slice(-MAX_CHAT_HISTORY);
+        await store.set(title, meetingData);
+
+        res.json({ message });
+    } catch (err) {
+        console.error('Chat message error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * A raised hand as listed to clients
+ * 
+ * @typedef {Object} RaisedHand
+ * @property {string} attendeeId - Chime attendee ID of the participant
+ * @property {string} name - Display name of the participant
+ * @property {string} raisedAt - ISO timestamp assigned by the server
+ */
+
+/**
+ * GET /api/hands/:title - Get the raised-hand queue of a meeting
+ * 
+ * Lets people who join late see hands that are already up. Changes travel
+ * over the meeting's realtime data-message channel. Requires a session
+ * token for the meeting.
+ * 
+ * @route GET /api/hands/:title
+ * @param {string} req.headers.authorization - `Bearer <session token>`
+ * @param {string} req.params.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {RaisedHand[]} 200.hands - Raised hands, earliest first
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Token belongs to another meeting, or caller is no longer in it
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @example
+ * // Request
+ * GET /api/hands/group-session-12
+ * 
+ * // Response
+ * {
+ *   "hands": [
+ *     { "attendeeId": "def-789", "name": "Patient John", "raisedAt": "2026-02-07T04:42:10.001Z" }
+ *   ]
+ * }
+ */
+app.get('/api/hands/:title', requireRole(ROLES.HOST, ROLES.PARTICIPANT), async (req, res) => {
+    const { title } = req.params;
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+        if (!(req.session.attendeeId in meetingData.attendees)) {
+            return res.status(403).json({ error: 'You are no longer in this meeting' });
+        }
 
-    if (!meetingData) {
-        return res.status(404).json({ error: 'Meeting not found' });
+        res.json({ hands: listRaisedHands(meetingData) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-
-    res.json({ roster: meetingData.attendees || {} });
 });
 
-
 /**
- * POST /api/join - Join an existing meeting or create and join a new one
+ * POST /api/hands/:title - Raise or lower a hand
  * 
- * Allows a user to join a Chime SDK meeting. If the meeting doesn't exist,
- * it will be created automatically. Creates a new attendee for the user and
- * returns both the meeting and attendee information along with the current
- * roster of all participants.
+ * Anyone in the meeting may raise or lower their own hand. The host may also
+ * lower someone else's hand, or every hand at once with `all`. A hand that is
+ * raised again keeps its place in the queue. The returned change is what the
+ * client relays over the realtime data-message channel (topic `hand`);
+ * clients accept a change from the participant it is about, or from a host.
+ * Requires a session token for the meeting.
  * 
- * @route POST /api/join
+ * @route POST /api/hands/:title
+ * @param {string} req.headers.authorization - `Bearer <session token>`
+ * @param {string} req.params.title - Meeting title/identifier
  * @param {Object} req.body - Request body
- * @param {string} req.body.title - Meeting title/identifier to join
- * @param {string} req.body.name - Display name of the attendee
+ * @param {boolean} req.body.raised - Raise (true) or lower (false)
+ * @param {string} [req.body.attendeeId] - Whose hand (defaults to the caller; host only for others)
+ * @param {boolean} [req.body.all] - Lower every hand (host only)
  * 
  * @returns {Object} 200 - Success response
- * @returns {Object} 200.JoinInfo - Information needed to join the meeting
- * @returns {Object} 200.JoinInfo.Meeting - AWS Chime meeting object
- * @returns {Object} 200.JoinInfo.Attendee - AWS Chime attendee object
- * @returns {string} 200.JoinInfo.Attendee.AttendeeId - Unique attendee identifier
- * @returns {string} 200.JoinInfo.Attendee.ExternalUserId - External user identifier
- * @returns {Object.<string, string>} 200.Roster - Map of attendeeId to attendee name
+ * @returns {{attendeeId: ?string, raised: boolean, raisedAt: ?string}} 200.change - Change to relay
+ *   (attendeeId is null when every hand was lowered)
+ * @returns {RaisedHand[]} 200.hands - Raised hands after the change, earliest first
  * 
- * @returns {Object} 500 - Error response
+ * @returns {Object} 400 - `raised` missing, or trying to raise someone else's hand
+ * @returns {string} 400.error - Error message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Not the host but changing someone else's hand, or no longer in the meeting
+ * 
+ * @returns {Object} 404 - Meeting or attendee not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
  * @returns {string} 500.error - Error message
  * 
  * @example
  * // Request
- * POST /api/join
- * { "title": "patient-doctor-consultation-123", "name": "Dr. Smith" }
+ * POST /api/hands/group-session-12
+ * { "raised": true }
  * 
  * // Response
  * {
- *   "JoinInfo": {
- *     "Meeting": { "MeetingId": "abc-123", ... },
- *     "Attendee": { "AttendeeId": "xyz-456", ... }
- *   },
- *   "Roster": {
- *     "xyz-456": "Dr. Smith",
- *     "def-789": "Patient John"
- *   }
+ *   "change": { "attendeeId": "def-789", "raised": true, "raisedAt": "2026-02-07T04:42:10.001Z" },
+ *   "hands": [
+ *     { "attendeeId": "def-789", "name": "Patient John", "raisedAt": "2026-02-07T04:42:10.001Z" }
+ *   ]
  * }
  */
-app.post('/api/join', async (req, res) => {
-    const { title, name } = req.body;
+app.post('/api/hands/:title', requireRole(ROLES.HOST, ROLES.PARTICIPANT), async (req, res) => {
+    const { title } = req.params;
+    const { raised, all } = req.body;
+    const callerId = req.session.attendeeId;
+    const attendeeId = all ? null : req.body.attendeeId || callerId;
+    const isHost = req.session.role === ROLES.HOST;
+
+    if (typeof raised !== 'boolean') {
+        return res.status(400).json({ error: 'raised must be true or false' });
+    }
+    if (attendeeId !== callerId) {
+        if (!isHost) return res.status(403).json({ error: 'Only the host can lower other hands' });
+        if (raised) return res.status(400).json({ error: 'You can only raise your own hand' });
+    }
 
     try {
-        let meeting;
-        // Create meeting if it doesn't exist
-        if (!meetings[title]) {
-            const createMeetingCommand = new CreateMeetingCommand({
-                ClientRequestToken: uuid(),  // Unique token for idempotency
-                MediaRegion: 'us-east-1',    // AWS region for media routing
-                ExternalMeetingId: title,    // Human-readable meeting identifier
-            });
-            const meetingResult = await chimeClient.send(createMeetingCommand);
-            meeting = meetingResult.Meeting;
-            // Initialize meeting data with empty attendees
-            meetings[title] = { meeting, attendees: {} };
-        } else {
-            // Use existing meeting
-            meeting = meetings[title].meeting;
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+        if (!(callerId in meetingData.attendees)) {
+            return res.status(403).json({ error: 'You are no longer in this meeting' });
+        }
+        if (attendeeId && !(attendeeId in meetingData.attendees)) {
+            return res.status(404).json({ error: 'Attendee not found' });
         }
 
-        // Create a new attendee for this user
-        const createAttendeeCommand = new CreateAttendeeCommand({
-            MeetingId: meeting.MeetingId,  // Associate with the meeting
-            ExternalUserId: uuid(),        // Unique identifier for this attendee
-        });
-        const attendeeResult = await chimeClient.send(createAttendeeCommand);
-
-        // Store attendee name in the roster
-        const attendeeId = attendeeResult.Attendee.AttendeeId;
-        // Ensure attendees object exists (defensive programming)
-        if (!meetings[title].attendees) {
-            meetings[title].attendees = {};
+        const raisedHands = { ...meetingData.raisedHands };
+        if (!attendeeId) {
+            meetingData.raisedHands = {};
+        } else if (raised) {
+            // Raising again keeps the original place in the queue
+            raisedHands[attendeeId] = raisedHands[attendeeId] || new Date().toISOString();
+            meetingData.raisedHands = raisedHands;
+        } else {
+            delete raisedHands[attendeeId];
+            meetingData.raisedHands = raisedHands;
         }
-        meetings[title].attendees[attendeeId] = name;
+        await store.set(title, meetingData);
 
-        // Return meeting info, attendee credentials, and current roster
         res.json({
-            JoinInfo: {
-                Meeting: meeting,
-                Attendee: attendeeResult.Attendee,
-            },
-            Roster: meetings[title].attendees  // All current participants
+            change: { attendeeId, raised, raisedAt: raised ? meetingData.raisedHands[attendeeId] : null },
+            hands: listRaisedHands(meetingData),
         });
     } catch (err) {
-        console.error('Error joining meeting:', err);
+        console.error('Raise hand error:', err);
         res.status(500).json({ error: err.message });
     }
 });
@@ -317,24 +2158,40 @@ app.post('/api/join', async (req, res) => {
  * Initiates a media capture pipeline to record the specified meeting.
  * Supports two recording modes:
  * - 'raw': Records separate audio, video, and content streams
- * - 'grid': Records a composited grid view with all participants in HD
+ * - 'grid': Records a composited grid view with all participants
  * 
- * Recordings are stored in the configured S3 bucket (meet-recordings-rm).
- * Only one recording can be active per meeting at a time.
+ * Grid recordings use the configured composited-video defaults; a request may
+ * override the layout, resolution, content-share layout and picture-in-picture
+ * position, but only with values the server allows (see GET /api/record/options).
+ * 
+ * Recordings are stored in the configured S3 bucket (RECORDING_BUCKET), each
+ * under its own `<RECORDING_PREFIX><title>/<timestamp>/` folder.
+ * Only one recording can be active per meeting at a time. Each recording is
+ * added to the meeting's recording history. Requires a host session token
+ * for the meeting.
  * 
  * @route POST /api/record/start
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
  * @param {Object} req.body - Request body
  * @param {string} req.body.title - Meeting title/identifier
  * @param {string} req.body.mode - Recording mode: 'raw' or 'grid'
+ * @param {Object} [req.body.options] - Composited-video overrides (grid mode only)
+ * @param {string} [req.body.options.layout] - Composited layout (GridView)
+ * @param {string} [req.body.options.resolution] - 'HD' or 'FHD'
+ * @param {string} [req.body.options.contentShareLayout] - 'PresenterOnly', 'Horizontal', 'Vertical' or 'ActiveSpeakerOnly'
+ * @param {string} [req.body.options.pipPosition] - 'TopLeft', 'TopRight', 'BottomLeft' or 'BottomRight'
  * 
  * @returns {Object} 200 - Success response
  * @returns {string} 200.message - Confirmation message with mode
  * @returns {string} 200.pipelineId - Media capture pipeline identifier
  * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
  * @returns {Object} 404 - Meeting not found
  * @returns {string} 404.error - Error message
  * 
- * @returns {Object} 400 - Recording already in progress
+ * @returns {Object} 400 - Recording already in progress, meeting not started yet, or an override the server does not allow
  * @returns {string} 400.error - Error message
  * 
  * @returns {Object} 500 - Server error
@@ -343,7 +2200,7 @@ app.post('/api/join', async (req, res) => {
  * @example
  * // Request (Grid Mode)
  * POST /api/record/start
- * { "title": "patient-doctor-consultation-123", "mode": "grid" }
+ * { "title": "patient-doctor-consultation-123", "mode": "grid", "options": { "resolution": "FHD", "contentShareLayout": "ActiveSpeakerOnly" } }
  * 
  * // Response
  * {
@@ -351,16 +2208,26 @@ app.post('/api/join', async (req, res) => {
  *   "pipelineId": "pipeline-abc-123"
  * }
  */
-app.post('/api/record/start', async (req, res) => {
-    const { title, mode } = req.body; // mode: 'raw' or 'grid'
-    const meetingData = meetings[title];
+app.post('/api/record/start', requireRole(ROLES.HOST), async (req, res) => {
+    const { title, mode, options } = req.body; // mode: 'raw' or 'grid'
 
-    // Validate meeting exists
-    if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
-    // Prevent multiple simultaneous recordings
-    if (meetingData.pipelineId) return res.status(400).json({ error: 'Already recording' });
+    // Validate composited-video overrides against what the server allows
+    let compositedOptions = null;
+    if (mode === 'grid') {
+        const resolved = resolveCompositedOptions(options);
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
+        compositedOptions = resolved.options;
+    }
 
     try {
+        const meetingData = await store.get(title);
+
+        // Validate meeting exists
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+        if (!meetingData.meeting) return res.status(400).json({ error: 'Meeting has not started yet' });
+        // Prevent multiple simultaneous recordings
+        if (meetingData.pipelineId) return res.status(400).json({ error: 'Already recording' });
+
         // Extract AWS account ID from meeting ARN or use environment variable
         const accountId = process.env.AWS_ACCOUNT_ID || meetingData.meeting.MeetingArn.split(':')[4];
 
@@ -376,26 +2243,23 @@ app.post('/api/record/start', async (req, res) => {
             // Grid mode: Composite all participants into a single video
             artifactsConfig.Video = { State: 'Disabled' };     // No individual video streams
             artifactsConfig.Content = { State: 'Disabled' };   // No screen share streams
-            artifactsConfig.CompositedVideo = {
-                State: 'Enabled',
-                Layout: 'GridView',           // Tile layout with all participants
-                Resolution: 'HD',             // 1280x720 resolution
-                GridViewConfiguration: {
-                    ContentShareLayout: 'PresenterOnly',  // Show presenter when sharing
-                }
-            };
+            artifactsConfig.CompositedVideo = buildCompositedVideoConfig(compositedOptions);
         } else {
             // Raw mode: Capture individual streams separately
             artifactsConfig.Video = { State: 'Enabled', MuxType: 'VideoOnly' };      // Individual video streams
             artifactsConfig.Content = { State: 'Enabled', MuxType: 'ContentOnly' };  // Screen share streams
         }
 
+        // Give every recording its own folder so artifacts never mix
+        const { bucket, prefix } = config.recording;
+        const recordingKey = `${prefix}${title.replace(/[^A-Za-z0-9_-]/g, '_')}/${Date.now()}`;
+
         // Create the media capture pipeline
         const createPipelineCommand = new CreateMediaCapturePipelineCommand({
             SourceType: 'ChimeSdkMeeting',  // Source is a Chime SDK meeting
             SourceArn: `arn:aws:chime::${accountId}:meeting:${meetingData.meeting.MeetingId}`,
             SinkType: 'S3Bucket',           // Destination is S3
-            SinkArn: `arn:aws:s3:::meet-recordings-rm`,  // S3 bucket for recordings
+            SinkArn: `arn:aws:s3:::${bucket}/${recordingKey}`,  // S3 bucket and folder for this recording
             ChimeSdkMeetingConfiguration: {
                 ArtifactsConfiguration: artifactsConfig
             }
@@ -403,23 +2267,78 @@ app.post('/api/record/start', async (req, res) => {
 
         const result = await mediaClient.send(createPipelineCommand);
         // Store pipeline ID and mode for later reference
-        meetings[title].pipelineId = result.MediaCapturePipeline.MediaPipelineId;
-        meetings[title].recordMode = mode;
-        res.json({ message: `Recording started (${mode})`, pipelineId: meetings[title].pipelineId });
+        meetingData.pipelineId = result.MediaCapturePipeline.MediaPipelineId;
+        meetingData.recordMode = mode;
+        await store.set(title, meetingData);
+        const entry = {
+            pipelineId: meetingData.pipelineId,
+            pipelineArn: result.MediaCapturePipeline.MediaPipelineArn,
+            mode,
+            startedBy: describeActor(meetingData, req.session),
+            stoppedBy: null,
+            startedAt: new Date().toISOString(),
+            stoppedAt: null,
+            stopReason: null,
+            s3Prefix: `s3://${bucket}/${recordingKey}/`,
+            transcribed: Boolean(meetingData.transcription),
+            ...(compositedOptions && { options: compositedOptions }),
+        };
+        await addRecordingEntry(title, entry);
+        publish(title, PUSH_EVENTS.RECORDING, { recording: true, current: entry });
+        emitEvent(EVENTS.RECORDING_STARTED, {
+            title,
+            pipelineId: entry.pipelineId,
+            mode,
+            startedBy: entry.startedBy,
+            s3Prefix: entry.s3Prefix,
+        });
+        res.json({ message: `Recording started (${mode})`, pipelineId: meetingData.pipelineId });
     } catch (err) {
         console.error('Recording start error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
+/**
+ * GET /api/record/options - Get the composited-video recording options
+ * 
+ * Reports the server's default grid-recording options and the values a
+ * request to /api/record/start may choose from.
+ * 
+ * @route GET /api/record/options
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {Object.<string, string>} 200.defaults - Default value per option
+ * @returns {Object.<string, string[]>} 200.allowed - Allowed values per option
+ * 
+ * @example
+ * // Request
+ * GET /api/record/options
+ * 
+ * // Response
+ * {
+ *   "defaults": { "layout": "GridView", "resolution": "HD", "contentShareLayout": "PresenterOnly", "pipPosition": "TopRight" },
+ *   "allowed": { "layout": ["GridView"], "resolution": ["HD", "FHD"], ... }
+ * }
+ */
+app.get('/api/record/options', (req, res) => {
+    const { defaults, allowed } = config.recording;
+    res.json({ defaults, allowed });
+});
+
 /**
  * POST /api/record/stop - Stop recording a meeting
  * 
  * Stops an active media capture pipeline for the specified meeting.
- * The recording will be finalized and saved to the S3 bucket.
- * After stopping, the pipeline ID is cleared from the meeting data.
+ * The recording will be finalized and saved to the S3 bucket, and a media
+ * concatenation pipeline merges its chunks into one audio file and one video
+ * file under `<s3Prefix>concatenated/`. Its progress (or failure) is reported
+ * in the recording history. After stopping, the pipeline ID is cleared from the meeting data and the
+ * recording history entry records who stopped it and when.
+ * Requires a host session token for the meeting.
  * 
  * @route POST /api/record/stop
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
  * @param {Object} req.body - Request body
  * @param {string} req.body.title - Meeting title/identifier
  * 
@@ -429,6 +2348,9 @@ app.post('/api/record/start', async (req, res) => {
  * @returns {Object} 400 - No active recording found
  * @returns {string} 400.error - Error message
  * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
  * @returns {Object} 500 - Server error
  * @returns {string} 500.error - Error message
  * 
@@ -440,26 +2362,380 @@ app.post('/api/record/start', async (req, res) => {
  * // Response
  * { "message": "Recording stopped" }
  */
-app.post('/api/record/stop', async (req, res) => {
+app.post('/api/record/stop', requireRole(ROLES.HOST), async (req, res) => {
+    const { title } = req.body;
+
+    try {
+        const meetingData = await store.get(title);
+
+        // Validate that meeting exists and has an active recording
+        if (!meetingData || !meetingData.pipelineId) {
+            return res.status(400).json({ error: 'Not recording' });
+        }
+
+        // Set up the merge before the capture pipeline goes away
+        await concatenateRecording(title, meetingData);
+
+        // Delete (stop) the media capture pipeline; one that already died or expired counts as stopped
+        try {
+            await mediaClient.send(new DeleteMediaCapturePipelineCommand({
+                MediaPipelineId: meetingData.pipelineId
+            }));
+        } catch (err) {
+            if (!isNotFoundError(err)) throw err;
+        }
+        // Clear the pipeline ID to indicate recording has stopped, and close its history entry
+        await finishRecording(title, meetingData, describeActor(meetingData, req.session), 'stopped');
+        await store.set(title, meetingData);
+        res.json({ message: 'Recording stopped' });
+    } catch (err) {
+        console.error('Recording stop error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/record/status/:title - Get the current recording status of a meeting
+ * 
+ * Lets every attendee see whether the meeting is being recorded. Requires a
+ * session token for the meeting.
+ * 
+ * @route GET /api/record/status/:title
+ * @param {string} req.headers.authorization - `Bearer <session token>`
+ * @param {string} req.params.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {boolean} 200.recording - Whether a recording is active
+ * @returns {?RecordingEntry} 200.current - The active recording, null when not recording
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Token belongs to another meeting
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @example
+ * // Request
+ * GET /api/record/status/patient-doctor-consultation-123
+ * 
+ * // Response
+ * {
+ *   "recording": true,
+ *   "current": {
+ *     "pipelineId": "pipeline-abc-123",
+ *     "mode": "grid",
+ *     "startedBy": { "attendeeId": "xyz-456", "name": "Dr. Smith" },
+ *     "startedAt": "2026-02-07T04:40:30.123Z",
+ *     ...
+ *   }
+ * }
+ */
+app.get('/api/record/status/:title', requireRole(ROLES.HOST, ROLES.PARTICIPANT), async (req, res) => {
+    const { title } = req.params;
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        const recordings = (await recordingStore.get(title)) || [];
+        const current = meetingData.pipelineId
+            ? recordings.find(recording => recording.pipelineId === meetingData.pipelineId) || null
+            : null;
+        res.json({ recording: Boolean(meetingData.pipelineId), current });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/recordings/:title - List the recordings made for a meeting
+ * 
+ * Returns every recording started under this title, newest first, including
+ * recordings of meetings that have since ended. Unfinished concatenation
+ * steps are refreshed from Chime first, so `concatenation.status` shows
+ * whether the merged files are ready ('Stopped') or the merge 'Failed'. Requires a host token for
+ * the meeting (the one from /api/create or a host session token).
+ * 
+ * @route GET /api/recordings/:title
+ * @param {string} req.headers.authorization - `Bearer <host token>`
+ * @param {string} req.params.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {RecordingEntry[]} 200.recordings - Recordings, newest first
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
+ * @example
+ * // Request
+ * GET /api/recordings/patient-doctor-consultation-123
+ * 
+ * // Response
+ * {
+ *   "recordings": [
+ *     {
+ *       "pipelineId": "pipeline-abc-123",
+ *       "mode": "grid",
+ *       "startedBy": { "attendeeId": "xyz-456", "name": "Dr. Smith" },
+ *       "stoppedBy": { "attendeeId": "xyz-456", "name": "Dr. Smith" },
+ *       "startedAt": "2026-02-07T04:40:30.123Z",
+ *       "stoppedAt": "2026-02-07T05:02:11.004Z",
+ *       "stopReason": "stopped",
+ *       "s3Prefix": "s3://meet-recordings-rm/patient-doctor-consultation-123/1770439230123/",
+ *       "concatenation": {
+ *         "pipelineId": "concat-def-789",
+ *         "status": "Stopped",
+ *         "audio": "s3://meet-recordings-rm/patient-doctor-consultation-123/1770439230123/concatenated/audio/",
+ *         "video": "s3://meet-recordings-rm/patient-doctor-consultation-123/1770439230123/concatenated/composited-video/",
+ *         "error": null
+ *       }
+ *     }
+ *   ]
+ * }
+ */
+app.get('/api/recordings/:title', requireRole(ROLES.HOST), async (req, res) => {
+    const { title } = req.params;
+    try {
+        const recordings = (await recordingStore.get(title)) || [];
+        await refreshConcatenations(title, recordings);
+        res.json({ recordings: [...recordings].reverse() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/transcription/start - Start live transcription of a meeting
+ * 
+ * Turns on Chime live transcription (Amazon Transcribe). Every attendee's
+ * client receives the transcript events and can show them as captions.
+ * The language must be one the server allows (see GET /api/transcription/options).
+ * If the meeting is being recorded, the transcript is captured with the
+ * recording and merged into a single file when it stops.
+ * Requires a host session token for the meeting.
+ * 
+ * @route POST /api/transcription/start
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * @param {string} [req.body.language] - Language code, e.g. 'en-US' (defaults to TRANSCRIPTION_LANGUAGE)
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.message - Confirmation message
+ * @returns {string} 200.language - Language being transcribed
+ * 
+ * @returns {Object} 400 - Already transcribing, meeting not started yet, or a language the server does not allow
+ * @returns {string} 400.error - Error message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/transcription/start
+ * { "title": "patient-doctor-consultation-123", "language": "en-US" }
+ * 
+ * // Response
+ * { "message": "Transcription started (en-US)", "language": "en-US" }
+ */
+app.post('/api/transcription/start', requireRole(ROLES.HOST), async (req, res) => {
+    const { title, language = config.transcription.defaultLanguage } = req.body;
+
+    if (!config.transcription.languages.includes(language)) {
+        return res.status(400).json({ error: `Language must be one of ${config.transcription.languages.join(', ')}` });
+    }
+
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+        if (!meetingData.meeting) return res.status(400).json({ error: 'Meeting has not started yet' });
+        if (meetingData.transcription) return res.status(400).json({ error: 'Already transcribing' });
+
+        await chimeClient.send(new StartMeetingTranscriptionCommand({
+            MeetingId: meetingData.meeting.MeetingId,
+            TranscriptionConfiguration: {
+                EngineTranscribeSettings: { LanguageCode: language }
+            }
+        }));
+        meetingData.transcription = { language, startedAt: new Date().toISOString() };
+        await store.set(title, meetingData);
+
+        // A running recording now captures the transcript as well
+        if (meetingData.pipelineId) {
+            const recordings = (await recordingStore.get(title)) || [];
+            const entry = recordings.find(recording => recording.pipelineId === meetingData.pipelineId);
+            if (entry && !entry.transcribed) {
+                entry.transcribed = true;
+                await recordingStore.set(title, recordings);
+            }
+        }
+        res.json({ message: `Transcription started (${language})`, language });
+    } catch (err) {
+        console.error('Transcription start error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/transcription/stop - Stop live transcription of a meeting
+ * 
+ * Requires a host session token for the meeting.
+ * 
+ * @route POST /api/transcription/stop
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.message - Confirmation message
+ * 
+ * @returns {Object} 400 - Not transcribing
+ * @returns {string} 400.error - Error message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/transcription/stop
+ * { "title": "patient-doctor-consultation-123" }
+ * 
+ * // Response
+ * { "message": "Transcription stopped" }
+ */
+app.post('/api/transcription/stop', requireRole(ROLES.HOST), async (req, res) => {
     const { title } = req.body;
-    const meetingData = meetings[title];
 
-    // Validate that meeting exists and has an active recording
-    if (!meetingData || !meetingData.pipelineId) {
-        return res.status(400).json({ error: 'Not recording' });
+    try {
+        const meetingData = await store.get(title);
+        if (!meetingData || !meetingData.transcription) {
+            return res.status(400).json({ error: 'Not transcribing' });
+        }
+
+        try {
+            await chimeClient.send(new StopMeetingTranscriptionCommand({
+                MeetingId: meetingData.meeting.MeetingId
+            }));
+        } catch (err) {
+            // Transcription ends with the meeting
+            if (!isNotFoundError(err)) throw err;
+        }
+        meetingData.transcription = null;
+        await store.set(title, meetingData);
+        res.json({ message: 'Transcription stopped' });
+    } catch (err) {
+        console.error('Transcription stop error:', err);
+        res.status(500).json({ error: err.message });
     }
+});
+
+/**
+ * GET /api/transcription/options - Get the live transcription languages
+ * 
+ * @route GET /api/transcription/options
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.defaultLanguage - Language used when a start request names none
+ * @returns {string[]} 200.languages - Languages hosts may pick
+ * 
+ * @example
+ * // Request
+ * GET /api/transcription/options
+ * 
+ * // Response
+ * { "defaultLanguage": "en-US", "languages": ["en-US", "en-GB", "es-US", ...] }
+ */
+app.get('/api/transcription/options', (req, res) => {
+    const { defaultLanguage, languages } = config.transcription;
+    res.json({ defaultLanguage, languages });
+});
+
+/**
+ * POST /api/end - End a meeting for everyone
+ * 
+ * Stops any active recording, deletes the Chime meeting (which disconnects
+ * every attendee), turns away anyone still in the waiting room and removes
+ * the meeting from the store. Resources that
+ * Chime has already cleaned up are ignored. Requires a host session token
+ * for the meeting.
+ * 
+ * @route POST /api/end
+ * @param {string} req.headers.authorization - `Bearer <host session token>`
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Meeting title/identifier
+ * 
+ * @returns {Object} 200 - Success response
+ * @returns {string} 200.message - Confirmation message
+ * 
+ * @returns {Object} 401 - Missing or invalid session token
+ * @returns {Object} 403 - Caller is not the host of this meeting
+ * 
+ * @returns {Object} 404 - Meeting not found
+ * @returns {string} 404.error - Error message
+ * 
+ * @returns {Object} 500 - Server error
+ * @returns {string} 500.error - Error message
+ * 
+ * @example
+ * // Request
+ * POST /api/end
+ * { "title": "patient-doctor-consultation-123" }
+ * 
+ * // Response
+ * { "message": "Meeting ended" }
+ */
+app.post('/api/end', requireRole(ROLES.HOST), async (req, res) => {
+    const { title } = req.body;
 
     try {
-        // Delete (stop) the media capture pipeline
-        const deleteCommand = new DeleteMediaCapturePipelineCommand({
-            MediaPipelineId: meetingData.pipelineId
+        const meetingData = await store.get(title);
+        if (!meetingData) return res.status(404).json({ error: 'Meeting not found' });
+
+        // Stop the active recording first so the capture is finalized and merged
+        if (meetingData.pipelineId) {
+            await concatenateRecording(title, meetingData);
+            try {
+                await mediaClient.send(new DeleteMediaCapturePipelineCommand({
+                    MediaPipelineId: meetingData.pipelineId
+                }));
+            } catch (err) {
+                if (!isNotFoundError(err)) throw err;
+            }
+            await finishRecording(title, meetingData, describeActor(meetingData, req.session), 'meeting-ended');
+        }
+
+        // Deleting the meeting disconnects every attendee (a scheduled meeting may not have one yet)
+        if (meetingData.meeting) {
+            try {
+                await chimeClient.send(new DeleteMeetingCommand({ MeetingId: meetingData.meeting.MeetingId }));
+            } catch (err) {
+                if (!isNotFoundError(err)) throw err;
+            }
+        }
+
+        await store.delete(title);
+        clearFailedAttempts(title);
+        closeMeeting(title, PUSH_EVENTS.MEETING_ENDED, { reason: 'ended-by-host' });
+        Object.keys(meetingData.lobby || {}).forEach(requestId => {
+            closeMeeting(lobbyChannel(requestId), PUSH_EVENTS.MEETING_ENDED, { reason: 'ended-by-host' });
         });
-        await mediaClient.send(deleteCommand);
-        // Clear the pipeline ID to indicate recording has stopped
-        meetings[title].pipelineId = null;
-        res.json({ message: 'Recording stopped' });
+        emitEvent(EVENTS.MEETING_ENDED, {
+            title,
+            meetingId: meetingData.meeting ? meetingData.meeting.MeetingId : null,
+            reason: 'ended-by-host',
+            endedBy: describeActor(meetingData, req.session),
+        });
+        res.json({ message: 'Meeting ended' });
     } catch (err) {
-        console.error('Recording stop error:', err);
+        console.error('End meeting error:', err);
         res.status(500).json({ error: err.message });
     }
 });
@@ -504,3 +2780,11 @@ const PORT = process.env.PORT || 5629;
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
 });
+
+/**
+ * Periodically sweep expired meetings out of the store
+ * unref() keeps the timer from holding the process open on shutdown
+ */
+setInterval(() => {
+    sweepMeetings().catch(err => console.error('Meeting sweep failed:', err));
+}, MEETING_SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Role-bearing session tokens
+ *
+ * Tokens are compact HMAC-SHA256 signed payloads (`payload.signature`, both
+ * base64url) that bind a caller to a meeting title and a role. The backend
+ * issues a host token from /api/create and a session token from /api/join
+ * (or a waiting-room token while the host has not admitted the caller yet),
+ * plus a rejoin token that lets an attendee come back under the same
+ * identity after a page refresh. Privileged routes check the role with the
+ * requireRole middleware (requireStreamRole for push streams).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Roles a session token can carry
+ * @enum {string}
+ */
+const ROLES = {
+    HOST: 'host',
+    PARTICIPANT: 'participant',
+    WAITING: 'waiting',  // In the waiting room, not yet admitted by the host
+    REJOIN: 'rejoin',    // Proves a former attendee's identity to /api/join; grants no other access
+};
+
+/**
+ * Token lifetime in milliseconds (SESSION_TTL_HOURS, default 24 hours)
+ * @type {number}
+ */
+const TOKEN_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Secret used to sign tokens
+ * Falls back to a random per-process secret, which invalidates every token
+ * on restart, so SESSION_SECRET should be set in any real deployment.
+ * @type {string}
+ */
+const SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET is not set; session tokens will not survive a restart');
+}
+
+/**
+ * Compute the signature of an encoded payload
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', SECRET).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issue a signed session token
+ *
+ * @param {Object} claims - Token claims
+ * @param {string} claims.title - Meeting title the token is valid for
+ * @param {string} claims.role - One of ROLES
+ * @param {string} [claims.attendeeId] - Chime attendee the token belongs to
+ * @param {string} [claims.requestId] - Waiting-room request the token belongs to
+ * @param {string} [claims.externalUserId] - Chime external user identity (rejoin tokens)
+ * @param {string} [claims.meetingId] - Chime meeting the identity was used in (rejoin tokens)
+ * @param {number} [validFrom] - Epoch ms the token's lifetime counts from, for
+ *   meetings scheduled further ahead than that lifetime (defaults to now)
+ * @returns {string} Signed token
+ */
+function issueToken({ title, role, attendeeId, requestId, externalUserId, meetingId }, validFrom = Date.now()) {
+    const payload = { title, role, attendeeId, requestId, externalUserId, meetingId, exp: Math.max(Date.now(), validFrom) + TOKEN_TTL_MS };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verify a session token
+ *
+ * @param {string} token - Token produced by issueToken
+ * @returns {Object|null} Decoded claims, or null when invalid or expired
+ */
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    const [encodedPayload, signature] = token.split('.');
+    if (!encodedPayload || !signature) return null;
+
+    const expected = Buffer.from(sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        return claims.exp > Date.now() ? claims : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Read the bearer token from the Authorization header
+ * Push streams may pass it as the `token` query parameter instead, because
+ * browsers cannot set headers on an EventSource. Other routes never read it
+ * from the URL, where it would end up in logs and browser history.
+ *
+ * @param {express.Request} req - Incoming request
+ * @param {boolean} [allowQuery=false] - Fall back to `?token=` on GET requests
+ * @returns {string|null} Token, or null when none was sent
+ */
+function getBearerToken(req, allowQuery = false) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme === 'Bearer' && token) return token;
+    if (allowQuery && req.method === 'GET' && typeof req.query.token === 'string') return req.query.token;
+    return null;
+}
+
+/**
+ * Build the role-checking middleware
+ * @param {string[]} roles - Accepted roles (from ROLES)
+ * @param {boolean} allowQuery - Whether the token may come from `?token=`
+ * @returns {express.RequestHandler} Middleware
+ */
+function roleCheck(roles, allowQuery) {
+    return (req, res, next) => {
+        const claims = verifyToken(getBearerToken(req, allowQuery));
+        if (!claims) {
+            return res.status(401).json({ error: 'Missing or invalid session token' });
+        }
+
+        const title = req.params.title || (req.body && req.body.title);
+        if (claims.title !== title) {
+            return res.status(403).json({ error: 'Session token is not valid for this meeting' });
+        }
+        if (!roles.includes(claims.role)) {
+            return res.status(403).json({ error: `This action requires the ${roles.join(' or ')} role` });
+        }
+
+        req.session = claims;
+        next();
+    };
+}
+
+/**
+ * Express middleware factory that only lets callers with one of the given roles through
+ *
+ * The token must be valid for the meeting named by `req.params.title` or
+ * `req.body.title`. Verified claims are exposed as `req.session`.
+ *
+ * @param {...string} roles - Accepted roles (from ROLES)
+ * @returns {express.RequestHandler} Middleware
+ */
+function requireRole(...roles) {
+    return roleCheck(roles, false);
+}
+
+/**
+ * Like requireRole, but also accepts the token as the `token` query parameter
+ * Only for Server-Sent Events routes opened with an EventSource.
+ *
+ * @param {...string} roles - Accepted roles (from ROLES)
+ * @returns {express.RequestHandler} Middleware
+ */
+function requireStreamRole(...roles) {
+    return roleCheck(roles, true);
+}
+
+module.exports = { ROLES, issueToken, verifyToken, getBearerToken, requireRole, requireStreamRole };
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview JSON file meeting store adapter
+ *
+ * Persists meeting data to a single JSON file so that meetings, rosters and
+ * active recording pipelines survive a process restart or redeploy. The file
+ * is read once at startup and kept in memory; every change is written back
+ * through a temporary file and an atomic rename so a crash mid-write never
+ * leaves a truncated store behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+/**
+ * Meeting store backed by a JSON file on disk
+ * @extends MemoryStore
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} filePath - Location of the JSON file holding the meetings
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = path.resolve(filePath);
+        // Chain of pending writes so concurrent changes are flushed in order
+        this.writeQueue = Promise.resolve();
+        this.load();
+    }
+
+    /**
+     * Load previously persisted meetings, starting empty if the file is missing
+     */
+    load() {
+        try {
+            this.meetings = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw new Error(`Failed to read meeting store ${this.filePath}: ${err.message}`);
+            }
+            this.meetings = {};
+        }
+    }
+
+    /**
+     * Write the current meetings to disk
+     * @returns {Promise<void>} Resolves once this snapshot has been written
+     */
+    persist() {
+        const snapshot = JSON.stringify(this.meetings, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+        this.writeQueue = this.writeQueue
+            .catch(() => {})  // A failed earlier write must not block later ones
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(tmpPath, snapshot);
+                await fs.promises.rename(tmpPath, this.filePath);
+            });
+        return this.writeQueue;
+    }
+
+    async set(title, data) {
+        await super.set(title, data);
+        await this.persist();
+    }
+
+    async delete(title) {
+        await super.delete(title);
+        await this.persist();
+    }
+}
+
+module.exports = FileStore;
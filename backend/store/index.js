@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Meeting store factory
+ *
+ * Selects the storage adapter used to keep meeting data. Every adapter
+ * exposes the same asynchronous interface:
+ * - get(title) - Returns the meeting data or undefined
+ * - set(title, data) - Creates or replaces the meeting data
+ * - delete(title) - Removes the meeting
+ * - list() - Returns a map of every stored meeting
+ *
+ * Adapters:
+ * - 'file' (default): JSON file on disk, survives restarts
+ * - 'memory': Plain object, lost on restart (intended for tests)
+ */
+
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+/**
+ * Default location of the JSON file used by the file adapter
+ * @type {string}
+ */
+const DEFAULT_FILE_PATH = './data/meetings.json';
+
+/**
+ * Create a meeting store
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} [options.adapter] - Adapter name: 'file' or 'memory'
+ * @param {string} [options.filePath] - JSON file location for the file adapter
+ * @returns {MemoryStore|FileStore} Store instance
+ * @throws {Error} When the adapter name is unknown
+ */
+function createStore({ adapter = 'file', filePath = DEFAULT_FILE_PATH } = {}) {
+    switch (adapter) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new FileStore(filePath);
+        default:
+            throw new Error(`Unknown meeting store adapter: ${adapter}`);
+    }
+}
+
+module.exports = { createStore, MemoryStore, FileStore };
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview In-memory meeting store adapter
+ *
+ * Keeps meeting data in a plain object for the lifetime of the process.
+ * Nothing survives a restart, which makes this adapter a good fit for tests
+ * and local experiments but not for deployments.
+ */
+
+/**
+ * Meeting store backed by a plain JavaScript object
+ */
+class MemoryStore {
+    constructor() {
+        /**
+         * Maps meeting titles to their associated data
+         * @type {Object.<string, Object>}
+         */
+        this.meetings = {};
+    }
+
+    /**
+     * Get the stored data for a meeting
+     * @param {string} title - Meeting title/identifier
+     * @returns {Promise<Object|undefined>} Meeting data, or undefined when unknown
+     */
+    async get(title) {
+        return this.meetings[title];
+    }
+
+    /**
+     * Create or replace the stored data for a meeting
+     * @param {string} title - Meeting title/identifier
+     * @param {Object} data - Meeting data to store
+     * @returns {Promise<void>}
+     */
+    async set(title, data) {
+        this.meetings[title] = data;
+    }
+
+    /**
+     * Remove a meeting from the store
+     * @param {string} title - Meeting title/identifier
+     * @returns {Promise<void>}
+     */
+    async delete(title) {
+        delete this.meetings[title];
+    }
+
+    /**
+     * List every stored meeting
+     * @returns {Promise<Object.<string, Object>>} Map of meeting title to meeting data
+     */
+    async list() {
+        return { ...this.meetings };
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for server configuration validation and recording options
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { config, loadConfig, resolveCompositedOptions, buildCompositedVideoConfig } = require('../config');
+
+describe('loadConfig', () => {
+    it('falls back to defaults for an empty environment', () => {
+        const loaded = loadConfig({});
+        assert.equal(loaded.mediaRegion, 'us-east-1');
+        assert.equal(loaded.recording.prefix, '');
+        assert.deepEqual(loaded.recording.defaults, {
+            layout: 'GridView',
+            resolution: 'HD',
+            contentShareLayout: 'PresenterOnly',
+            pipPosition: 'TopRight',
+        });
+        assert.equal(loaded.transcription.defaultLanguage, 'en-US');
+        assert.ok(Object.isFrozen(loaded));
+    });
+
+    it('prefers MEDIA_REGION over AWS_REGION', () => {
+        assert.equal(loadConfig({ AWS_REGION: 'eu-west-1' }).mediaRegion, 'eu-west-1');
+        assert.equal(loadConfig({ AWS_REGION: 'eu-west-1', MEDIA_REGION: 'us-west-2' }).mediaRegion, 'us-west-2');
+    });
+
+    it('normalizes the recording prefix', () => {
+        assert.equal(loadConfig({ RECORDING_PREFIX: '/staging/' }).recording.prefix, 'staging/');
+    });
+
+    it('fails fast on invalid values', () => {
+        assert.throws(() => loadConfig({ MEDIA_REGION: 'moon' }), /Invalid MEDIA_REGION/);
+        assert.throws(() => loadConfig({ RECORDING_BUCKET: 'Bad_Bucket' }), /Invalid RECORDING_BUCKET/);
+        assert.throws(() => loadConfig({ RECORDING_PREFIX: 'a b' }), /Invalid RECORDING_PREFIX/);
+        assert.throws(() => loadConfig({ RECORDING_RESOLUTION: '4K' }), /Invalid RECORDING_RESOLUTION/);
+        assert.throws(() => loadConfig({ RECORDING_ALLOWED_PIP_POSITIONS: 'Middle' }), /Invalid RECORDING_ALLOWED_PIP_POSITIONS/);
+        assert.throws(() => loadConfig({ TRANSCRIPTION_LANGUAGE: 'xx-XX' }), /Invalid TRANSCRIPTION_LANGUAGE/);
+        assert.throws(() => loadConfig({ TRANSCRIPTION_LANGUAGES: 'en-US,xx-XX' }), /Invalid TRANSCRIPTION_LANGUAGES/);
+    });
+
+    it('keeps the defaults selectable when allow-lists leave them out', () => {
+        const loaded = loadConfig({
+            RECORDING_ALLOWED_RESOLUTIONS: 'FHD',
+            TRANSCRIPTION_LANGUAGE: 'fr-CA',
+            TRANSCRIPTION_LANGUAGES: 'en-US, es-US',
+        });
+        assert.deepEqual(loaded.recording.allowed.resolution, ['FHD', 'HD']);
+        assert.deepEqual(loaded.transcription.languages, ['en-US', 'es-US', 'fr-CA']);
+    });
+});
+
+describe('resolveCompositedOptions', () => {
+    it('merges overrides over the configured defaults', () => {
+        const { options, error } = resolveCompositedOptions({ resolution: 'FHD', pipPosition: '' });
+        assert.equal(error, null);
+        assert.deepEqual(options, { ...config.recording.defaults, resolution: 'FHD' });
+    });
+
+    it('rejects unknown options, disallowed values and non-objects', () => {
+        assert.match(resolveCompositedOptions({ fps: 60 }).error, /Unknown recording option: fps/);
+        assert.match(resolveCompositedOptions({ resolution: '4K' }).error, /resolution must be one of/);
+        assert.match(resolveCompositedOptions(['HD']).error, /must be an object/);
+    });
+});
+
+describe('buildCompositedVideoConfig', () => {
+    it('places the picture-in-picture tile for the presenter and active speaker layouts', () => {
+        const presenter = buildCompositedVideoConfig({ ...config.recording.defaults, pipPosition: 'BottomLeft' });
+        assert.deepEqual(presenter.GridViewConfiguration, {
+            ContentShareLayout: 'PresenterOnly',
+            PresenterOnlyConfiguration: { PresenterPosition: 'BottomLeft' },
+        });
+
+        const speaker = buildCompositedVideoConfig({ ...config.recording.defaults, contentShareLayout: 'ActiveSpeakerOnly' });
+        assert.deepEqual(speaker.GridViewConfiguration.ActiveSpeakerOnlyConfiguration, { ActiveSpeakerPosition: 'TopRight' });
+
+        const horizontal = buildCompositedVideoConfig({ ...config.recording.defaults, contentShareLayout: 'Horizontal' });
+        assert.deepEqual(horizontal.GridViewConfiguration, { ContentShareLayout: 'Horizontal' });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Tests for passcode hashing and the failed-attempt lockout
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    generatePasscode,
+    hashPasscode,
+    verifyPasscode,
+    getLockoutRemaining,
+    recordFailedAttempt,
+    clearFailedAttempts,
+} = require('../passcode');
+
+describe('generatePasscode', () => {
+    it('generates six digits', () => {
+        for (let i = 0; i < 20; i++) {
+            assert.match(generatePasscode(), /^\d{6}$/);
+        }
+    });
+});
+
+describe('hashPasscode / verifyPasscode', () => {
+    it('accepts the right passcode and rejects others', async () => {
+        const hash = await hashPasscode('1234');
+        assert.equal(await verifyPasscode('1234', hash), true);
+        assert.equal(await verifyPasscode('4321', hash), false);
+    });
+
+    it('salts every hash', async () => {
+        assert.notEqual(await hashPasscode('1234'), await hashPasscode('1234'));
+    });
+
+    it('rejects missing passcodes and malformed hashes', async () => {
+        const hash = await hashPasscode('1234');
+        assert.equal(await verifyPasscode(undefined, hash), false);
+        assert.equal(await verifyPasscode('1234', ''), false);
+        assert.equal(await verifyPasscode('1234', 'no-separator'), false);
+    });
+});
+
+describe('failed attempt lockout', () => {
+    it('locks a client out after five failures', (t) => {
+        let now = 1_000_000;
+        t.mock.method(Date, 'now', () => now);
+
+        for (let i = 0; i < 4; i++) recordFailedAttempt('lock-t1', '10.0.0.1');
+        assert.equal(getLockoutRemaining('lock-t1', '10.0.0.1'), 0);
+
+        recordFailedAttempt('lock-t1', '10.0.0.1');
+        assert.equal(getLockoutRemaining('lock-t1', '10.0.0.1'), 5 * 60 * 1000);
+
+        now += 60 * 1000;
+        assert.equal(getLockoutRemaining('lock-t1', '10.0.0.1'), 4 * 60 * 1000);
+        now += 4 * 60 * 1000;
+        assert.equal(getLockoutRemaining('lock-t1', '10.0.0.1'), 0);
+    });
+
+    it('counts each client and each meeting separately', (t) => {
+        t.mock.method(Date, 'now', () => 2_000_000);
+
+        for (let i = 0; i < 5; i++) recordFailedAttempt('lock-t2', '10.0.0.1');
+        assert.ok(getLockoutRemaining('lock-t2', '10.0.0.1') > 0);
+        assert.equal(getLockoutRemaining('lock-t2', '10.0.0.2'), 0);
+        assert.equal(getLockoutRemaining('lock-t3', '10.0.0.1'), 0);
+    });
+
+    it('starts a fresh window once the previous one has passed', (t) => {
+        let now = 3_000_000;
+        t.mock.method(Date, 'now', () => now);
+
+        for (let i = 0; i < 4; i++) recordFailedAttempt('lock-t4', '10.0.0.1');
+        now += 5 * 60 * 1000 + 1;
+        recordFailedAttempt('lock-t4', '10.0.0.1');
+        assert.equal(getLockoutRemaining('lock-t4', '10.0.0.1'), 0);
+    });
+
+    it('clears one client, or every client of a meeting', (t) => {
+        t.mock.method(Date, 'now', () => 4_000_000);
+
+        for (let i = 0; i < 5; i++) {
+            recordFailedAttempt('lock-t5', '10.0.0.1');
+            recordFailedAttempt('lock-t5', '10.0.0.2');
+            recordFailedAttempt('lock-t5', '10.0.0.3');
+        }
+        clearFailedAttempts('lock-t5', '10.0.0.1');
+        assert.equal(getLockoutRemaining('lock-t5', '10.0.0.1'), 0);
+        assert.ok(getLockoutRemaining('lock-t5', '10.0.0.2') > 0);
+
+        clearFailedAttempts('lock-t5');
+        assert.equal(getLockoutRemaining('lock-t5', '10.0.0.2'), 0);
+        assert.equal(getLockoutRemaining('lock-t5', '10.0.0.3'), 0);
+    });
+});
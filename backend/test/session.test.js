@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Tests for session token signing and the role middleware
+ */
+
+process.env.SESSION_SECRET = 'test-secret';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ROLES,
+    issueToken,
+    verifyToken,
+    getBearerToken,
+    requireRole,
+    requireStreamRole,
+} = require('../session');
+
+/**
+ * Build the parts of an Express request the session helpers read
+ * @param {Object} [options] - Request fields
+ * @returns {Object} Fake request
+ */
+function fakeRequest({ method = 'POST', authorization, query = {}, params = {}, body = {} } = {}) {
+    return {
+        method,
+        query,
+        params,
+        body,
+        get: (header) => (header === 'Authorization' ? authorization : undefined),
+    };
+}
+
+/**
+ * Run a middleware and report whether it called next and what it answered
+ * @param {express.RequestHandler} middleware - Middleware under test
+ * @param {Object} req - Fake request
+ * @returns {{passed: boolean, status: ?number, body: ?Object}} Outcome
+ */
+function run(middleware, req) {
+    const outcome = { passed: false, status: null, body: null };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json(body) {
+            outcome.body = body;
+            return this;
+        },
+    };
+    middleware(req, res, () => {
+        outcome.passed = true;
+    });
+    return outcome;
+}
+
+describe('issueToken / verifyToken', () => {
+    it('round-trips the claims', () => {
+        const token = issueToken({ title: 't1', role: ROLES.PARTICIPANT, attendeeId: 'a1' });
+        const claims = verifyToken(token);
+        assert.equal(claims.title, 't1');
+        assert.equal(claims.role, ROLES.PARTICIPANT);
+        assert.equal(claims.attendeeId, 'a1');
+    });
+
+    it('rejects tampered, malformed and missing tokens', () => {
+        const token = issueToken({ title: 't1', role: ROLES.PARTICIPANT });
+        const [payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ title: 't1', role: ROLES.HOST, exp: Date.now() + 60000 }))
+            .toString('base64url');
+
+        assert.equal(verifyToken(`${forged}.${signature}`), null);
+        assert.equal(verifyToken(`${payload}.x${signature}`), null);
+        assert.equal(verifyToken(payload), null);
+        assert.equal(verifyToken(undefined), null);
+    });
+
+    it('rejects expired tokens', (t) => {
+        const token = issueToken({ title: 't1', role: ROLES.PARTICIPANT });
+        const issuedAt = Date.now();
+        t.mock.method(Date, 'now', () => issuedAt + 25 * 60 * 60 * 1000);
+        assert.equal(verifyToken(token), null);
+    });
+
+    it('counts the lifetime from validFrom for meetings scheduled ahead', (t) => {
+        const issuedAt = Date.now();
+        const token = issueToken({ title: 't1', role: ROLES.HOST }, issuedAt + 48 * 60 * 60 * 1000);
+        t.mock.method(Date, 'now', () => issuedAt + 60 * 60 * 60 * 1000);
+        assert.equal(verifyToken(token).role, ROLES.HOST);
+    });
+});
+
+describe('getBearerToken', () => {
+    it('reads the Authorization header', () => {
+        assert.equal(getBearerToken(fakeRequest({ authorization: 'Bearer abc' })), 'abc');
+        assert.equal(getBearerToken(fakeRequest({ authorization: 'Basic abc' })), null);
+    });
+
+    it('only reads the query string when allowed, and only on GET', () => {
+        const get = fakeRequest({ method: 'GET', query: { token: 'abc' } });
+        const post = fakeRequest({ method: 'POST', query: { token: 'abc' } });
+        assert.equal(getBearerToken(get), null);
+        assert.equal(getBearerToken(get, true), 'abc');
+        assert.equal(getBearerToken(post, true), null);
+    });
+});
+
+describe('requireRole', () => {
+    const hostToken = issueToken({ title: 't1', role: ROLES.HOST, attendeeId: 'a1' });
+
+    it('lets a matching role for the same meeting through', () => {
+        const req = fakeRequest({ authorization: `Bearer ${hostToken}`, body: { title: 't1' } });
+        const outcome = run(requireRole(ROLES.HOST), req);
+        assert.equal(outcome.passed, true);
+        assert.equal(req.session.attendeeId, 'a1');
+    });
+
+    it('answers 401 without a valid token', () => {
+        const outcome = run(requireRole(ROLES.HOST), fakeRequest({ body: { title: 't1' } }));
+        assert.equal(outcome.passed, false);
+        assert.equal(outcome.status, 401);
+    });
+
+    it('answers 403 for another meeting or another role', () => {
+        const otherMeeting = fakeRequest({ authorization: `Bearer ${hostToken}`, params: { title: 't2' } });
+        assert.equal(run(requireRole(ROLES.HOST), otherMeeting).status, 403);
+
+        const participantToken = issueToken({ title: 't1', role: ROLES.PARTICIPANT });
+        const participant = fakeRequest({ authorization: `Bearer ${participantToken}`, body: { title: 't1' } });
+        assert.equal(run(requireRole(ROLES.HOST), participant).status, 403);
+    });
+
+    it('ignores a query-string token, which only stream routes accept', () => {
+        const req = () => fakeRequest({ method: 'GET', query: { token: hostToken }, params: { title: 't1' } });
+        assert.equal(run(requireRole(ROLES.HOST), req()).status, 401);
+        assert.equal(run(requireStreamRole(ROLES.HOST), req()).passed, true);
+    });
+});
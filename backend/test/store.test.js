@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Tests for the meeting store adapters and their factory
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, MemoryStore, FileStore } = require('../store');
+
+describe('createStore', () => {
+    it('creates the adapter that was asked for', () => {
+        assert.ok(createStore({ adapter: 'memory' }) instanceof MemoryStore);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-store-'));
+        try {
+            assert.ok(createStore({ adapter: 'file', filePath: path.join(dir, 'meetings.json') }) instanceof FileStore);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects unknown adapters', () => {
+        assert.throws(() => createStore({ adapter: 'redis' }), /Unknown meeting store adapter: redis/);
+    });
+});
+
+describe('MemoryStore', () => {
+    let store;
+    beforeEach(() => {
+        store = new MemoryStore();
+    });
+
+    it('returns undefined for unknown meetings', async () => {
+        assert.equal(await store.get('missing'), undefined);
+    });
+
+    it('stores, replaces and deletes meetings', async () => {
+        await store.set('t1', { attendees: {} });
+        await store.set('t1', { attendees: { a1: 'Doc' } });
+        assert.deepEqual(await store.get('t1'), { attendees: { a1: 'Doc' } });
+
+        await store.delete('t1');
+        assert.equal(await store.get('t1'), undefined);
+    });
+
+    it('lists every meeting in a copy of its map', async () => {
+        await store.set('t1', { attendees: {} });
+        await store.set('t2', { attendees: {} });
+        const listed = await store.list();
+        assert.deepEqual(Object.keys(listed).sort(), ['t1', 't2']);
+
+        delete listed.t1;
+        assert.ok(await store.get('t1'));
+    });
+});
+
+describe('FileStore', () => {
+    let dir;
+    let filePath;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meet-store-'));
+        filePath = path.join(dir, 'nested', 'meetings.json');
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('starts empty when the file does not exist yet', async () => {
+        const store = new FileStore(filePath);
+        assert.deepEqual(await store.list(), {});
+    });
+
+    it('persists changes so a new instance reads them back', async () => {
+        const store = new FileStore(filePath);
+        await store.set('t1', { attendees: { a1: 'Doc' } });
+        await store.set('t2', { attendees: {} });
+        await store.delete('t2');
+
+        const reopened = new FileStore(filePath);
+        assert.deepEqual(await reopened.list(), { t1: { attendees: { a1: 'Doc' } } });
+        assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    });
+
+    it('refuses to start from a corrupt file', () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '{ not json');
+        assert.throws(() => new FileStore(filePath), /Failed to read meeting store/);
+    });
+});
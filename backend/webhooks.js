@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Outbound webhooks for meeting lifecycle events
+ *
+ * Events are POSTed as JSON to every URL in WEBHOOK_URLS. Each request is
+ * signed with HMAC-SHA256 over `<timestamp>.<body>` using WEBHOOK_SECRET, so
+ * receivers can verify it came from us and reject replays. Failed deliveries
+ * (network errors, timeouts and non-2xx answers) are retried with exponential
+ * backoff; once the attempts run out the event is appended to a dead-letter
+ * log (one JSON object per line) for inspection and manual replay.
+ *
+ * Delivery runs in the background: emitting an event never delays or fails
+ * the API request that caused it.
+ *
+ * Environment variables:
+ * - WEBHOOK_URLS: Comma-separated receiver URLs (webhooks are off when empty)
+ * - WEBHOOK_SECRET: Signing secret shared with the receivers
+ * - WEBHOOK_MAX_ATTEMPTS: Delivery attempts per receiver (default 5)
+ * - WEBHOOK_TIMEOUT_MS: Per-attempt timeout (default 5000)
+ * - WEBHOOK_DEAD_LETTER_PATH: Dead-letter log file (default ./data/webhook-dead-letters.jsonl)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuid } = require('uuid');
+
+/**
+ * Event types sent to receivers
+ * @enum {string}
+ */
+const EVENTS = {
+    MEETING_CREATED: 'meeting.created',
+    MEETING_ENDED: 'meeting.ended',
+    ATTENDEE_JOINED: 'attendee.joined',
+    ATTENDEE_REMOVED: 'attendee.removed',
+    RECORDING_STARTED: 'recording.started',
+    RECORDING_STOPPED: 'recording.stopped',
+};
+
+/**
+ * Receiver URLs
+ * @type {string[]}
+ */
+const URLS = (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+
+/**
+ * Secret used to sign deliveries
+ * @type {string}
+ */
+const SECRET = process.env.WEBHOOK_SECRET || '';
+if (URLS.length > 0 && !SECRET) {
+    throw new Error('WEBHOOK_SECRET must be set when WEBHOOK_URLS is configured');
+}
+
+/**
+ * Delivery attempts per receiver before an event is dead-lettered
+ * @type {number}
+ */
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+
+/**
+ * Per-attempt timeout (ms)
+ * @type {number}
+ */
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+/**
+ * Delay before the first retry (ms); doubles with every further attempt
+ * @type {number}
+ */
+const BASE_BACKOFF_MS = 1000;
+
+/**
+ * Dead-letter log path
+ * @type {string}
+ */
+const DEAD_LETTER_PATH = process.env.WEBHOOK_DEAD_LETTER_PATH || './data/webhook-dead-letters.jsonl';
+
+/**
+ * A webhook event
+ * @typedef {Object} WebhookEvent
+ * @property {string} id - Unique event ID (receivers can use it to drop duplicates)
+ * @property {string} type - One of EVENTS
+ * @property {string} createdAt - ISO timestamp
+ * @property {Object} data - Event details, always including the meeting title
+ */
+
+/**
+ * Wait without keeping the process alive
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+/**
+ * Sign a delivery
+ * @param {string} timestamp - Unix time in seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in the form `sha256=<hex>`
+ */
+function signPayload(timestamp, body) {
+    const digest = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * POST an event to one receiver, once
+ * @param {string} url - Receiver URL
+ * @param {WebhookEvent} event - Event to deliver
+ * @returns {Promise<void>}
+ * @throws {Error} On network errors, timeouts and non-2xx responses
+ */
+async function postEvent(url, event) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': event.id,
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signPayload(timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!response.ok) {
+        throw new Error(`Receiver answered ${response.status}`);
+    }
+}
+
+/**
+ * Append an undeliverable event to the dead-letter log
+ * @param {string} url - Receiver URL
+ * @param {WebhookEvent} event - Event that could not be delivered
+ * @param {Error} err - Error from the last attempt
+ * @returns {Promise<void>}
+ */
+async function deadLetter(url, event, err) {
+    const line = JSON.stringify({ url, event, error: err.message, attempts: MAX_ATTEMPTS, failedAt: new Date().toISOString() });
+    try {
+        await fs.promises.mkdir(path.dirname(DEAD_LETTER_PATH), { recursive: true });
+        await fs.promises.appendFile(DEAD_LETTER_PATH, `${line}\n`);
+    } catch (writeErr) {
+        // Last resort: keep the event in the server log
+        console.error('Webhook dead-letter write error:', writeErr, line);
+    }
+}
+
+/**
+ * Deliver an event to one receiver, retrying with exponential backoff
+ * @param {string} url - Receiver URL
+ * @param {WebhookEvent} event - Event to deliver
+ * @returns {Promise<void>}
+ */
+async function deliver(url, event) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await postEvent(url, event);
+            return;
+        } catch (err) {
+            if (attempt >= MAX_ATTEMPTS) {
+                console.error(`Webhook ${event.type} to ${url} failed after ${attempt} attempts:`, err.message);
+                await deadLetter(url, event, err);
+                return;
+            }
+            await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1));
+        }
+    }
+}
+
+/**
+ * Emit an event to every configured receiver
+ * Returns immediately; delivery and retries happen in the background.
+ *
+ * @param {string} type - One of EVENTS
+ * @param {Object} data - Event details
+ * @returns {?WebhookEvent} The event, or null when no receivers are configured
+ *
+ * @example
+ * emitEvent(EVENTS.ATTENDEE_JOINED, { title, attendeeId, name });
+ */
+function emitEvent(type, data) {
+    if (URLS.length === 0) return null;
+    const event = { id: uuid(), type, createdAt: new Date().toISOString(), data };
+    for (const url of URLS) {
+        deliver(url, event);
+    }
+    return event;
+}
+
+module.exports = { EVENTS, emitEvent };
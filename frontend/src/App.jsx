@@ -5,22 +5,235 @@ import {
     Video,
     VideoOff,
     Phone,
+    PhoneOff,
     Settings,
     Circle,
     Square,
-    RefreshCw
+    Captions,
+    CaptionsOff,
+    RefreshCw,
+    MonitorUp,
+    MonitorOff,
+    MessageSquare,
+    Send,
+    Users,
+    UserX,
+    UserCheck,
+    SignalHigh,
+    SignalLow,
+    SignalZero,
+    WifiOff,
+    AudioLines,
+    Volume2,
+    Speech,
+    Hand,
+    Smile,
+    X
 } from 'lucide-react';
 import {
+    BackgroundBlurVideoFrameProcessor,
+    BackgroundReplacementVideoFrameProcessor,
     ConsoleLogger,
+    ContentShareConstants,
+    DefaultActiveSpeakerPolicy,
     DefaultDeviceController,
     DefaultMeetingSession,
+    DefaultVideoTransformDevice,
     LogLevel,
     MeetingSessionConfiguration,
+    MeetingSessionStatusCode,
+    Transcript,
+    TranscriptionStatus,
+    TranscriptionStatusType,
+    VoiceFocusDeviceTransformer,
 } from 'amazon-chime-sdk-js';
 import './App.css';
 
 const API_URL = import.meta.env.VITE_API_URL || '';
 
+// Device choices are remembered across sessions
+const DEVICE_STORAGE_KEY = 'medicall.devices';
+
+const loadDevicePreferences = () => {
+    try {
+        return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+const saveDevicePreference = (kind, deviceId) => {
+    localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify({ ...loadDevicePreferences(), [kind]: deviceId }));
+};
+
+// getUserMedia constraints for a remembered device, or any device of the kind when none was chosen
+const deviceConstraints = (deviceId) => (deviceId ? { deviceId } : true);
+
+// A getUserMedia failure in words a participant can act on
+const describeDeviceError = (error, device) => {
+    switch (error.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return `Access to your ${device} is blocked. Allow it in your browser's site settings and reload the page.`;
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return `No ${device} was found. Connect one and reload the page.`;
+        case 'NotReadableError':
+            return `Your ${device} is in use by another application.`;
+        default:
+            return `Could not start your ${device}: ${error.message}`;
+    }
+};
+
+// Pre-call mic meter: RMS input level is scaled up so normal speech fills most of the bar
+const MIC_METER_GAIN = 4;
+// Pre-call speaker test: a two-note chime (Hz), each note this long (s)
+const TEST_SOUND_NOTES = [659.25, 880];
+const TEST_SOUND_NOTE_SECONDS = 0.35;
+
+// Noise suppression (Amazon Voice Focus) on the microphone is on unless turned off
+const loadNoiseSuppressionPreference = () => loadDevicePreferences().noiseSuppression !== false;
+
+const voiceFocusLogger = new ConsoleLogger('VoiceFocus', LogLevel.WARN);
+
+// Background effect for the local camera ({ effect: 'none' | 'blur' | 'replace', image: data URL or null }),
+// remembered across sessions
+const BACKGROUND_STORAGE_KEY = 'medicall.background';
+const NO_BACKGROUND = { effect: 'none', image: null };
+const BACKGROUND_EFFECT_LABELS = { none: 'No effect', blur: 'Blur background', replace: 'Replace background' };
+// Uploaded background images are scaled down to this width so they fit in localStorage
+const BACKGROUND_IMAGE_WIDTH = 1280;
+
+const backgroundLogger = new ConsoleLogger('Background', LogLevel.WARN);
+
+const loadBackgroundPreference = () => {
+    try {
+        return { ...NO_BACKGROUND, ...JSON.parse(localStorage.getItem(BACKGROUND_STORAGE_KEY)) };
+    } catch (error) {
+        return NO_BACKGROUND;
+    }
+};
+
+const saveBackgroundPreference = (background) => {
+    try {
+        localStorage.setItem(BACKGROUND_STORAGE_KEY, JSON.stringify(background));
+    } catch (error) {
+        // Storage full: the effect still applies, it just won't be remembered
+        console.error('Failed to save background preference:', error);
+    }
+};
+
+// Which background effects this browser can run
+const checkBackgroundSupport = async () => ({
+    blur: await BackgroundBlurVideoFrameProcessor.isSupported(),
+    replace: await BackgroundReplacementVideoFrameProcessor.isSupported(),
+});
+
+// Frame processor for a background choice; null for no effect or when it can't start here
+const createBackgroundProcessor = async ({ effect, image }) => {
+    try {
+        if (effect === 'blur') {
+            return (await BackgroundBlurVideoFrameProcessor.create()) || null;
+        }
+        if (effect === 'replace') {
+            // Without an image Chime replaces the background with a plain color
+            const options = image ? { imageBlob: await (await fetch(image)).blob() } : {};
+            return (await BackgroundReplacementVideoFrameProcessor.create(undefined, options)) || null;
+        }
+    } catch (error) {
+        console.error('Background effect failed to start:', error);
+    }
+    return null;
+};
+
+// Scale an uploaded image down and encode it as a JPEG data URL
+const readBackgroundImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        const scale = Math.min(1, BACKGROUND_IMAGE_WIDTH / image.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/jpeg', 0.85));
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('This file is not an image'));
+    };
+    image.src = url;
+});
+
+// Use the preferred device when it is still plugged in, else the first one listed
+const pickDevice = (deviceList, preferredId) => {
+    const preferred = deviceList.find(device => device.deviceId === preferredId);
+    return (preferred || deviceList[0] || {}).deviceId || null;
+};
+
+// Labels for the grid-recording options a host may pick in Settings
+const RECORDING_OPTION_LABELS = {
+    layout: 'Recording Layout',
+    resolution: 'Recording Resolution',
+    contentShareLayout: 'Screen Share Layout',
+    pipPosition: 'Picture-in-Picture Position',
+};
+
+// Realtime data-message topic used for chat
+const CHAT_TOPIC = 'chat';
+// Realtime data-message topic for host moderation commands (issued by POST /api/moderation)
+const MODERATION_TOPIC = 'moderation';
+// Realtime data-message topics for raised-hand changes (from POST /api/hands) and emoji reactions
+const HAND_TOPIC = 'hand';
+const REACTION_TOPIC = 'reaction';
+const REACTIONS = ['👍', '👏', '❤️', '😂', '😮', '🎉'];
+const REACTION_DISPLAY_MS = 3000;
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+// Chime data messages are limited to 2KB; a chat message is relayed as its JSON envelope
+const MAX_CHAT_MESSAGE_BYTES = 2048;
+
+// Captions overlay: newest lines shown, each final line cleared after a while
+const MAX_CAPTION_LINES = 3;
+const CAPTION_HOLD_MS = 6000;
+
+// Chime volume (0-1) above which an unmuted attendee's tile is highlighted as speaking
+const SPEAKING_VOLUME = 0.1;
+
+// Chime delivers at most 25 video tiles, one of which is our own
+const MAX_VIDEO_TILES = 25;
+
+// Local video send quality, best first. We step down when the measured uplink
+// falls below a level's minUplinkKbps and back up once it has recovered.
+const VIDEO_QUALITY_LEVELS = [
+    { label: 'HD', width: 960, height: 540, frameRate: 15, maxBandwidthKbps: 1400, minUplinkKbps: 1000 },
+    { label: 'SD', width: 640, height: 360, frameRate: 15, maxBandwidthKbps: 600, minUplinkKbps: 450 },
+    { label: 'Low', width: 320, height: 180, frameRate: 15, maxBandwidthKbps: 250, minUplinkKbps: 0 },
+];
+// Headroom over the next level's minimum, and how many metric reports (about one
+// per second) in a row must show it, before quality steps back up
+const QUALITY_RECOVERY_MARGIN = 1.3;
+const QUALITY_RECOVERY_REPORTS = 10;
+
+// Host tokens from /api/create are kept per room so the creator joins as host
+const HOST_TOKEN_PREFIX = 'hostToken:';
+const hostTokenKey = (room) => `${HOST_TOKEN_PREFIX}${room}`;
+
+// Rejoin tokens from /api/join ({ token, name }) survive a page refresh, so we come back as the same attendee
+const REJOIN_PREFIX = 'rejoin:';
+const rejoinKey = (room) => `${REJOIN_PREFIX}${room}`;
+
+const loadRejoin = (room) => {
+    try {
+        return JSON.parse(localStorage.getItem(rejoinKey(room)));
+    } catch (err) {
+        return null;
+    }
+};
+
+// Empty scheduling fields of the admin view's create form
+const EMPTY_SCHEDULE = { start: '', end: '', maxAttendees: '', description: '' };
+
 // Helper function to generate random room ID
 const generateRoomId = () => {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -31,6 +244,99 @@ const generateRoomId = () => {
     return result;
 };
 
+// Signal bars from Chime's per-attendee signal strength (1 good, 0.5 weak, 0 none)
+function SignalIndicator({ strength }) {
+    if (strength === undefined) return null;
+    const [Icon, level, description] = strength >= 1
+        ? [SignalHigh, 'good', 'Good connection']
+        : strength > 0 ? [SignalLow, 'weak', 'Weak connection'] : [SignalZero, 'none', 'No connection'];
+    return (
+        <span className={`signal-indicator ${level}`} title={description}>
+            <Icon size={16} />
+        </span>
+    );
+}
+
+// Background effect selector, shared by the join preview and the in-call settings
+function BackgroundPicker({ background, support, onChange, onImageChosen, selectClassName }) {
+    return (
+        <>
+            <select
+                className={selectClassName}
+                value={background.effect}
+                onChange={e => onChange({ ...background, effect: e.target.value })}
+            >
+                {Object.entries(BACKGROUND_EFFECT_LABELS).map(([effect, label]) => {
+                    const unsupported = effect !== 'none' && !support[effect];
+                    return (
+                        <option key={effect} value={effect} disabled={unsupported}>
+                            {unsupported ? `${label} (not supported)` : label}
+                        </option>
+                    );
+                })}
+            </select>
+            {background.effect === 'replace' && (
+                <label className="background-upload">
+                    {background.image ? 'Change image' : 'Choose image'}
+                    <input
+                        type="file"
+                        accept="image/*"
+                        hidden
+                        onChange={e => e.target.files[0] && onImageChosen(e.target.files[0])}
+                    />
+                </label>
+            )}
+        </>
+    );
+}
+
+// Raised-hand, muted-mic and weak-connection badges in the corner of a video tile
+function TileStatus({ muted, signalStrength, handRaised }) {
+    const weak = signalStrength !== undefined && signalStrength < 1;
+    if (!muted && !weak && !handRaised) return null;
+    return (
+        <div className="tile-status">
+            {handRaised && (
+                <span className="tile-badge hand" title="Hand raised">
+                    <Hand size={16} />
+                </span>
+            )}
+            {muted && (
+                <span className="tile-badge muted" title="Muted">
+                    <MicOff size={16} />
+                </span>
+            )}
+            {weak && (
+                <span className="tile-badge">
+                    <SignalIndicator strength={signalStrength} />
+                </span>
+            )}
+        </div>
+    );
+}
+
+// Binds a single remote Chime video tile to its own <video> element
+function RemoteVideoTile({
+    tileId, label, audioVideo, className = 'video-tile', speaking, muted, signalStrength, handRaised, reaction,
+}) {
+    const videoRef = useRef(null);
+
+    useEffect(() => {
+        if (audioVideo && videoRef.current) {
+            audioVideo.bindVideoElement(tileId, videoRef.current);
+        }
+    }, [tileId, audioVideo]);
+
+    return (
+        <div className={`${className}${speaking ? ' speaking' : ''}`}>
+            <video ref={videoRef} autoPlay playsInline />
+            <div className="tile-label">{label}</div>
+            <TileStatus muted={muted} signalStrength={signalStrength} handRaised={handRaised} />
+            {reaction && <div key={reaction.id} className="tile-reaction">{reaction.emoji}</div>}
+        </div>
+    );
+}
+
 function App() {
     const [inCall, setInCall] = useState(false);
     const [name, setName] = useState('');
@@ -41,49 +347,237 @@ function App() {
     const [isCamOff, setIsCamOff] = useState(false);
     const [isAdmin, setIsAdmin] = useState(false);
     const [isRecording, setIsRecording] = useState(false);
+    const [role, setRole] = useState('participant');
     const [generatedLink, setGeneratedLink] = useState('');
+    const [adminPasscode, setAdminPasscode] = useState('');
+    const [generatedPasscode, setGeneratedPasscode] = useState('');
+    const [recordings, setRecordings] = useState(null);
+    const [isLoadingRecordings, setIsLoadingRecordings] = useState(false);
+    const [recordingOptions, setRecordingOptions] = useState(null); // { defaults, allowed } from the server
+    const [gridOptions, setGridOptions] = useState({});
     const [isGenerating, setIsGenerating] = useState(false);
-    const [attendeeRoster, setAttendeeRoster] = useState({});
-    const [remoteAttendeeId, setRemoteAttendeeId] = useState(null);
+    const [scheduleForm, setScheduleForm] = useState(EMPTY_SCHEDULE); // datetime-local values, capacity, description
+    const [upcomingMeetings, setUpcomingMeetings] = useState(null);
+    const [attendeeRoster, setAttendeeRoster] = useState({}); // Attendees present in the call, id -> name
+    const [remoteTiles, setRemoteTiles] = useState([]); // [{ tileId, attendeeId }]
+    const [contentTile, setContentTile] = useState(null); // { tileId, attendeeId } of the presenter
+    const [isSharing, setIsSharing] = useState(false);
     const [notifications, setNotifications] = useState([]);
+    const [myAttendeeId, setMyAttendeeId] = useState(null);
+    const [activePanel, setActivePanel] = useState(null); // 'participants' | 'chat' | 'settings' | null
+    const [chatMessages, setChatMessages] = useState([]);
+    const [chatDraft, setChatDraft] = useState('');
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [devices, setDevices] = useState({ audioInputs: [], videoInputs: [], audioOutputs: [] });
+    const [selectedDevices, setSelectedDevices] = useState(loadDevicePreferences);
+    const [deviceErrors, setDeviceErrors] = useState({}); // Join-screen device check: { camera, microphone, speaker }
+    const [micLevel, setMicLevel] = useState(0); // 0-1, join-screen mic meter
+    const [isPlayingTestSound, setIsPlayingTestSound] = useState(false);
+    const [exitNotice, setExitNotice] = useState('');
+    const [isTranscribing, setIsTranscribing] = useState(false);
+    const [captions, setCaptions] = useState([]); // [{ resultId, attendeeId, text }]
+    const [showCaptions, setShowCaptions] = useState(true);
+    const [transcriptionOptions, setTranscriptionOptions] = useState(null); // { defaultLanguage, languages } from the server
+    const [transcriptionLanguage, setTranscriptionLanguage] = useState('');
+    const [isWaiting, setIsWaiting] = useState(false); // In the waiting room, until the host decides
+    const [lobbyNotice, setLobbyNotice] = useState('');
+    const [lobbyQueue, setLobbyQueue] = useState([]); // Participants waiting to be admitted (host only)
+    const [signalStrengths, setSignalStrengths] = useState({}); // attendeeId -> 0, 0.5 or 1
+    const [audioStates, setAudioStates] = useState({}); // attendeeId -> { speaking, muted }
+    const [activeSpeakerId, setActiveSpeakerId] = useState(null); // Most active remote speaker
+    const [speakerLayout, setSpeakerLayout] = useState(false); // Put the active speaker in the large tile
+    const [isReconnecting, setIsReconnecting] = useState(false);
+    const [suggestCameraOff, setSuggestCameraOff] = useState(false);
+    const [unmuteRequest, setUnmuteRequest] = useState(null); // Name of the host asking us to unmute
+    const [raisedHands, setRaisedHands] = useState([]); // [{ attendeeId, name, raisedAt }], earliest first
+    const [reactions, setReactions] = useState({}); // attendeeId -> { id, emoji } while shown on their tile
+    const [showReactionPicker, setShowReactionPicker] = useState(false);
+    const [videoQuality, setVideoQuality] = useState(0); // Index into VIDEO_QUALITY_LEVELS
+    const [background, setBackground] = useState(loadBackgroundPreference);
+    const [backgroundSupport, setBackgroundSupport] = useState({ blur: false, replace: false });
+    const [noiseSuppression, setNoiseSuppression] = useState(loadNoiseSuppressionPreference);
+    const [noiseSuppressionSupported, setNoiseSuppressionSupported] = useState(false);
+    const [isNoiseSuppressed, setIsNoiseSuppressed] = useState(false); // Voice Focus is running on our microphone
 
     const localVideoRef = useRef(null);
-    const remoteVideoRef = useRef(null);
     const previewVideoRef = useRef(null);
     const sessionRef = useRef(null);
+    const sessionTokenRef = useRef(null);
+    const endingMeetingRef = useRef(false);
+    const isSharingRef = useRef(false);
+    const activePanelRef = useRef(null);
+    const chatEndRef = useRef(null);
     const previewStreamRef = useRef(null);
     const audioInputRef = useRef(null);
     const videoInputRef = useRef(null);
+    const audioOutputRef = useRef(null);
+    const eventSourceRef = useRef(null);
+    const knownNamesRef = useRef({}); // Every name the server has told us about, id -> name
+    const presentAttendeesRef = useRef(new Set()); // Attendee IDs Chime reports as present
+    const pendingJoinsRef = useRef(new Set()); // Present attendees whose name has not arrived yet
+    const knownTilesRef = useRef(new Map()); // Every remote video tile (tileId -> attendeeId), shown or waiting for a free slot
+    const lobbySourceRef = useRef(null);
+    const lobbyTokenRef = useRef(null); // Waiting-room token, presented again once admitted
+    const lobbyQueueRef = useRef([]);
+    const rejoinTokenRef = useRef(null); // The rejoin token this tab stored
+    const videoQualityRef = useRef(0);
+    const uplinkKbpsRef = useRef(null); // Latest uplink estimate, to pick the quality when the camera comes back on
+    const healthyReportsRef = useRef(0); // Metric reports in a row with room for better quality
+    const backgroundRef = useRef(background); // Read by camera restarts inside Chime observers
+    const transformDeviceRef = useRef(null); // Background effect wrapping our camera in the call
+    const hostIdsRef = useRef(new Set()); // Attendee IDs of hosts; only their moderation commands are obeyed
+    const noiseSuppressionRef = useRef(noiseSuppression);
+    const voiceFocusRef = useRef(null); // Promise of the Voice Focus transformer, created on first use
+    const voiceFocusDeviceRef = useRef(null); // Voice Focus wrapping our microphone in the call
 
-    // URL Param Check & Camera Preview
+    // URL Param Check
     useEffect(() => {
         const params = new URLSearchParams(window.location.search);
         const urlRoom = params.get('roomId');
         if (urlRoom && urlRoom !== roomId) {
             setRoomId(urlRoom);
         }
+        // Coming back after a refresh: offer the name we joined with
+        const rejoin = urlRoom && loadRejoin(urlRoom);
+        if (rejoin && !name) {
+            setName(rejoin.name);
+        }
+    }, [inCall, exitNotice]);
 
-        if (!inCall) {
-            const startPreview = async () => {
-                try {
-                    const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
-                    if (previewVideoRef.current) {
-                        previewVideoRef.current.srcObject = stream;
-                        previewStreamRef.current = stream;
-                    }
-                } catch (err) {
-                    console.error('Preview failed:', err);
+    // Which background effects and whether noise suppression this browser supports
+    useEffect(() => {
+        checkBackgroundSupport()
+            .then(setBackgroundSupport)
+            .catch(() => setBackgroundSupport({ blur: false, replace: false }));
+        VoiceFocusDeviceTransformer.isSupported(undefined, { logger: voiceFocusLogger })
+            .then(setNoiseSuppressionSupported)
+            .catch(() => setNoiseSuppressionSupported(false));
+    }, []);
+
+    // Camera Preview, through the chosen background effect
+    useEffect(() => {
+        if (inCall || exitNotice) return undefined;
+        let cancelled = false;
+        let effectPreview = null; // { controller, device, element } while an effect is applied
+
+        const startPreview = async () => {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({
+                    video: deviceConstraints(selectedDevices.videoInput),
+                    audio: false,
+                });
+                previewStreamRef.current = stream;
+                setDeviceErrors(prev => ({ ...prev, camera: null }));
+                refreshPreviewDevices();
+                const processor = await createBackgroundProcessor(background);
+                if (cancelled || !previewVideoRef.current) {
+                    if (processor) processor.destroy();
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
                 }
-            };
-            startPreview();
-        }
+                if (!processor) {
+                    previewVideoRef.current.srcObject = stream;
+                    return;
+                }
+                // Video transforms run through a device controller, even without a meeting
+                const controller = new DefaultDeviceController(backgroundLogger);
+                const device = new DefaultVideoTransformDevice(backgroundLogger, stream, [processor]);
+                effectPreview = { controller, device, element: previewVideoRef.current };
+                await controller.startVideoInput(device);
+                if (!cancelled) controller.startVideoPreviewForVideoInput(effectPreview.element);
+            } catch (err) {
+                console.error('Preview failed:', err);
+                if (!cancelled) setDeviceErrors(prev => ({ ...prev, camera: describeDeviceError(err, 'camera') }));
+            }
+        };
+        startPreview();
         return () => {
+            cancelled = true;
+            if (effectPreview) {
+                const { controller, device, element } = effectPreview;
+                controller.stopVideoPreviewForVideoInput(element);
+                controller.stopVideoInput().then(() => device.stop());
+            }
             if (previewStreamRef.current) {
                 previewStreamRef.current.getTracks().forEach(track => track.stop());
             }
         };
+    }, [inCall, exitNotice, background, selectedDevices.videoInput]);
+
+    // Microphone check: a live level meter for the chosen microphone
+    useEffect(() => {
+        if (inCall || exitNotice) return undefined;
+        let cancelled = false;
+        let stream = null;
+        let context = null;
+        let frame = null;
+
+        const startMicCheck = async () => {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    audio: deviceConstraints(selectedDevices.audioInput),
+                    video: false,
+                });
+                if (cancelled) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                setDeviceErrors(prev => ({ ...prev, microphone: null }));
+                refreshPreviewDevices();
+
+                context = new AudioContext();
+                context.resume();
+                const analyser = context.createAnalyser();
+                analyser.fftSize = 1024;
+                context.createMediaStreamSource(stream).connect(analyser);
+                const samples = new Float32Array(analyser.fftSize);
+                const measure = () => {
+                    analyser.getFloatTimeDomainData(samples);
+                    const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+                    // Rounded so React only re-renders when the bar visibly moves
+                    setMicLevel(Math.round(Math.min(1, rms * MIC_METER_GAIN) * 20) / 20);
+                    frame = requestAnimationFrame(measure);
+                };
+                measure();
+            } catch (err) {
+                console.error('Microphone check failed:', err);
+                if (!cancelled) setDeviceErrors(prev => ({ ...prev, microphone: describeDeviceError(err, 'microphone') }));
+            }
+        };
+        startMicCheck();
+        return () => {
+            cancelled = true;
+            cancelAnimationFrame(frame);
+            if (context) context.close();
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            setMicLevel(0);
+        };
+    }, [inCall, exitNotice, selectedDevices.audioInput]);
+
+    // Keep the join screen's device lists current as devices are plugged in or out
+    useEffect(() => {
+        if (inCall) return undefined;
+        navigator.mediaDevices.addEventListener('devicechange', refreshPreviewDevices);
+        return () => navigator.mediaDevices.removeEventListener('devicechange', refreshPreviewDevices);
     }, [inCall]);
 
+    // Observers registered in initializeChime read the open panel through this ref
+    useEffect(() => {
+        activePanelRef.current = activePanel;
+    }, [activePanel]);
+
+    // Keep the newest chat message in view
+    useEffect(() => {
+        if (activePanel === 'chat' && chatEndRef.current) {
+            chatEndRef.current.scrollIntoView({ behavior: 'smooth' });
+        }
+    }, [chatMessages, activePanel]);
+
+    // The admin view lists the meetings this browser created
+    useEffect(() => {
+        if (isAdmin) loadUpcomingMeetings();
+    }, [isAdmin]);
+
     // Sync URL when roomId changes
     useEffect(() => {
         if (roomId && !inCall) {
@@ -92,6 +586,14 @@ function App() {
         }
     }, [roomId, inCall]);
 
+    const isHost = role === 'host';
+
+    // Headers for backend calls, carrying the session token when we have one
+    const apiHeaders = (token = sessionTokenRef.current) => ({
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    });
+
     // Show notification helper
     const showNotification = (message, type) => {
         const id = Date.now();
@@ -103,19 +605,232 @@ function App() {
         }, 3000);
     };
 
+    // Add a chat message once, whether it arrives live or from the history
+    const addChatMessage = (message) => {
+        setChatMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+    };
+
+    // Join/leave lines shown between chat messages
+    const addChatSystemLine = (text) => {
+        addChatMessage({ id: `system-${Date.now()}-${Math.random()}`, system: true, text });
+    };
+
+    // Hands raised before we joined
+    const loadRaisedHands = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/hands/${encodeURIComponent(roomId)}`, {
+                headers: apiHeaders(),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            setRaisedHands(data.hands);
+        } catch (error) {
+            console.error('Failed to load raised hands:', error);
+        }
+    };
+
+    // Apply a raised-hand change from POST /api/hands (ours or relayed); no attendeeId lowers every hand
+    const applyHandChange = ({ attendeeId, raised, raisedAt }) => {
+        setRaisedHands(prev => {
+            if (!attendeeId) return [];
+            const others = prev.filter(hand => hand.attendeeId !== attendeeId);
+            if (!raised) return others;
+            const hand = { attendeeId, name: knownNamesRef.current[attendeeId] || 'Participant', raisedAt };
+            return [...others, hand].sort((a, b) => a.raisedAt.localeCompare(b.raisedAt));
+        });
+    };
+
+    // Show an emoji over an attendee's tile for a few seconds
+    const showReaction = (attendeeId, emoji) => {
+        const id = Date.now();
+        setReactions(prev => ({ ...prev, [attendeeId]: { id, emoji } }));
+        setTimeout(() => {
+            setReactions(prev => {
+                if (!prev[attendeeId] || prev[attendeeId].id !== id) return prev;
+                const { [attendeeId]: gone, ...rest } = prev;
+                return rest;
+            });
+        }, REACTION_DISPLAY_MS);
+    };
+
+    const loadChatHistory = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/chat/${encodeURIComponent(roomId)}`, {
+                headers: apiHeaders(),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            // History goes first; live messages received meanwhile stay after it
+            setChatMessages(prev => [
+                ...data.messages,
+                ...prev.filter(live => !data.messages.some(m => m.id === live.id)),
+            ]);
+        } catch (error) {
+            console.error('Failed to load chat history:', error);
+        }
+    };
+
+    // The visible roster: attendees Chime reports as present, named from the server's roster.
+    // Reads refs only, so observers registered in initializeChime never see stale names.
+    const syncRoster = () => {
+        const names = knownNamesRef.current;
+        setAttendeeRoster(Object.fromEntries(
+            [...presentAttendeesRef.current].map(attendeeId => [attendeeId, names[attendeeId] || 'Participant'])
+        ));
+    };
+
+    const announcePresence = (attendeeName, joined) => {
+        const text = `${attendeeName} ${joined ? 'joined' : 'left'}`;
+        showNotification(text, joined ? 'join' : 'leave');
+        addChatSystemLine(text);
+    };
+
+    // Push channel: roster, recording state and the end of the meeting arrive from the server
+    const openEventStream = (token) => {
+        const source = new EventSource(
+            `${API_URL}/api/events/${encodeURIComponent(roomId)}?token=${encodeURIComponent(token)}`
+        );
+        source.addEventListener('roster', (event) => {
+            const { roster, hosts } = JSON.parse(event.data);
+            // Merge, so attendees the host removed still have a name when their leave arrives
+            knownNamesRef.current = { ...knownNamesRef.current, ...roster };
+            hostIdsRef.current = new Set(hosts);
+            // Announce joins that were waiting for their name
+            pendingJoinsRef.current.forEach(attendeeId => {
+                const attendeeName = knownNamesRef.current[attendeeId];
+                if (!attendeeName) return;
+                pendingJoinsRef.current.delete(attendeeId);
+                announcePresence(attendeeName, true);
+            });
+            syncRoster();
+        });
+        source.addEventListener('recording', (event) => {
+            setIsRecording(JSON.parse(event.data).recording);
+        });
+        // Hosts only: the waiting room changed
+        source.addEventListener('lobby', (event) => {
+            const { lobby } = JSON.parse(event.data);
+            lobby
+                .filter(request => !lobbyQueueRef.current.some(known => known.requestId === request.requestId))
+                .forEach(request => showNotification(`${request.name} is waiting to join`, 'join'));
+            lobbyQueueRef.current = lobby;
+            setLobbyQueue(lobby);
+        });
+        source.addEventListener('meeting-ended', (event) => {
+            source.close();
+            // The host who ended the meeting has already left
+            if (endingMeetingRef.current || !sessionRef.current) return;
+            const { reason } = JSON.parse(event.data);
+            leaveCall();
+            setExitNotice(reason === 'ended-by-host'
+                ? 'The meeting has been ended by the host.'
+                : 'The meeting has ended.');
+        });
+        eventSourceRef.current = source;
+    };
+
+    // Grid-recording options the server lets hosts choose from
+    const loadRecordingOptions = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/record/options`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            setRecordingOptions(data);
+            setGridOptions(data.defaults);
+        } catch (error) {
+            console.error('Failed to load recording options:', error);
+        }
+    };
+
+    // Languages the server lets hosts transcribe in
+    const loadTranscriptionOptions = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/transcription/options`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            setTranscriptionOptions(data);
+            setTranscriptionLanguage(data.defaultLanguage);
+        } catch (error) {
+            console.error('Failed to load transcription options:', error);
+        }
+    };
+
+    // Admin view: recordings made under this room, using the host token from /api/create
+    const loadRecordings = async () => {
+        if (!roomId) return alert('Enter a room ID first');
+        const hostToken = localStorage.getItem(hostTokenKey(roomId));
+        if (!hostToken) return alert('Only the creator of this meeting can view its recordings');
+        setIsLoadingRecordings(true);
+        try {
+            const response = await fetch(`${API_URL}/api/recordings/${encodeURIComponent(roomId)}`, {
+                headers: apiHeaders(hostToken),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            setRecordings(data.recordings);
+        } catch (error) {
+            alert(`Failed to load recordings: ${error.message}`);
+        } finally {
+            setIsLoadingRecordings(false);
+        }
+    };
+
+    // Admin view: meetings created from this browser (it holds their host tokens) that have not expired
+    const loadUpcomingMeetings = async () => {
+        const titles = Object.keys(localStorage)
+            .filter(key => key.startsWith(HOST_TOKEN_PREFIX))
+            .map(key => key.slice(HOST_TOKEN_PREFIX.length));
+        const meetings = await Promise.all(titles.map(async (title) => {
+            try {
+                const response = await fetch(`${API_URL}/api/meetings/${encodeURIComponent(title)}`, {
+                    headers: apiHeaders(localStorage.getItem(hostTokenKey(title))),
+                });
+                // Forget meetings that have been ended and host tokens that have expired
+                if (response.status === 404 || response.status === 401) {
+                    localStorage.removeItem(hostTokenKey(title));
+                    return null;
+                }
+                return response.ok ? await response.json() : null;
+            } catch (error) {
+                console.error(`Failed to load meeting ${title}:`, error);
+                return null;
+            }
+        }));
+        const now = Date.now();
+        setUpcomingMeetings(meetings
+            .filter(meeting => meeting && meeting.schedule)
+            .filter(meeting => !meeting.schedule.expiresAt || Date.parse(meeting.schedule.expiresAt) > now)
+            .sort((a, b) => Date.parse(a.schedule.scheduledStart) - Date.parse(b.schedule.scheduledStart)));
+    };
+
     const handleCreateMeeting = async () => {
         if (!roomId) return alert('Enter a room ID first');
         setIsGenerating(true);
         try {
+            // datetime-local values are local times; the server expects ISO timestamps
             const response = await fetch(`${API_URL}/api/create`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ title: roomId }),
+                body: JSON.stringify({
+                    title: roomId,
+                    passcode: adminPasscode || undefined,
+                    scheduledStart: scheduleForm.start ? new Date(scheduleForm.start).toISOString() : undefined,
+                    expiresAt: scheduleForm.end ? new Date(scheduleForm.end).toISOString() : undefined,
+                    maxAttendees: scheduleForm.maxAttendees ? Number(scheduleForm.maxAttendees) : undefined,
+                    description: scheduleForm.description || undefined,
+                }),
             });
             const data = await response.json();
             if (response.ok) {
                 const link = `${window.location.origin}${window.location.pathname}?roomId=${roomId}`;
                 setGeneratedLink(link);
+                // The server only returns the passcode for newly created meetings
+                setGeneratedPasscode(data.passcode || '');
+                if (data.hostToken) {
+                    localStorage.setItem(hostTokenKey(roomId), data.hostToken);
+                    setScheduleForm(EMPTY_SCHEDULE);
+                    loadUpcomingMeetings();
+                }
             } else {
                 alert(data.error);
             }
@@ -131,8 +846,8 @@ function App() {
         try {
             const response = await fetch(endpoint, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ title: roomId, mode }),
+                headers: apiHeaders(),
+                body: JSON.stringify({ title: roomId, mode, options: mode === 'grid' ? gridOptions : undefined }),
             });
             const data = await response.json();
             if (response.ok) {
@@ -146,35 +861,150 @@ function App() {
         }
     };
 
-    const joinMeeting = async (e) => {
-        if (e) e.preventDefault();
-
-        // Validate password
-        if (password !== '9762') {
-            alert('Incorrect password. Please try again.');
-            return;
+    // Live captions: the host starts and stops transcription for everyone
+    const toggleTranscription = async () => {
+        const endpoint = isTranscribing ? `${API_URL}/api/transcription/stop` : `${API_URL}/api/transcription/start`;
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ title: roomId, language: transcriptionLanguage || undefined }),
+            });
+            const data = await response.json();
+            if (!response.ok) return alert(data.error);
+            // The transcription status event confirms this for every attendee
+            setIsTranscribing(!isTranscribing);
+            if (isTranscribing) setCaptions([]);
+        } catch (error) {
+            alert('Transcription action failed');
         }
+    };
 
-        setIsLoading(true);
+    // Show a transcript result, replacing its earlier partial version
+    const showCaption = (result) => {
+        const alternative = result.alternatives[0];
+        if (!alternative || !alternative.items.length) return;
+        const caption = {
+            resultId: result.resultId,
+            attendeeId: alternative.items[0].attendee.attendeeId,
+            text: alternative.transcript,
+        };
+        setCaptions(prev => {
+            const index = prev.findIndex(line => line.resultId === caption.resultId);
+            const next = index === -1 ? [...prev, caption] : prev.map((line, i) => (i === index ? caption : line));
+            return next.slice(-MAX_CAPTION_LINES);
+        });
+        if (!result.isPartial) {
+            setTimeout(() => {
+                setCaptions(prev => prev.filter(line => line.resultId !== caption.resultId));
+            }, CAPTION_HOLD_MS);
+        }
+    };
 
-        // Stop preview before joining
-        if (previewStreamRef.current) {
-            previewStreamRef.current.getTracks().forEach(track => track.stop());
+    // Leave the waiting room; the server drops the request once the stream stays closed
+    const stopWaiting = (notice = '') => {
+        if (lobbySourceRef.current) {
+            lobbySourceRef.current.close();
+            lobbySourceRef.current = null;
         }
+        lobbyTokenRef.current = null;
+        setIsWaiting(false);
+        setLobbyNotice(notice);
+    };
+
+    // Wait on the join screen (camera preview stays on) until the host admits or denies us
+    const waitForAdmission = (lobbyToken) => {
+        lobbyTokenRef.current = lobbyToken;
+        setIsWaiting(true);
+        setLobbyNotice('');
+        const source = new EventSource(
+            `${API_URL}/api/lobby/${encodeURIComponent(roomId)}/events?token=${encodeURIComponent(lobbyToken)}`
+        );
+        source.addEventListener('lobby-status', (event) => {
+            const { status } = JSON.parse(event.data);
+            if (status === 'admitted') {
+                source.close();
+                lobbySourceRef.current = null;
+                joinMeeting();
+            } else if (status === 'denied') {
+                stopWaiting('The host declined your request to join.');
+            }
+        });
+        source.addEventListener('meeting-ended', () => {
+            stopWaiting('The meeting has been ended by the host.');
+        });
+        source.onerror = () => {
+            // EventSource retries dropped connections itself; it only gives up when the request is gone
+            if (source.readyState === EventSource.CLOSED) {
+                stopWaiting('Your request to join is no longer valid. Please try again.');
+            }
+        };
+        lobbySourceRef.current = source;
+    };
+
+    const joinMeeting = async (e) => {
+        if (e) e.preventDefault();
+
+        setIsLoading(true);
+        setLobbyNotice('');
 
         try {
             const response = await fetch(`${API_URL}/api/join`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ title: roomId, name }),
+                headers: apiHeaders(lobbyTokenRef.current || localStorage.getItem(hostTokenKey(roomId))),
+                body: JSON.stringify({
+                    title: roomId,
+                    name,
+                    passcode: password,
+                    rejoinToken: (loadRejoin(roomId) || {}).token,
+                }),
             });
 
             const data = await response.json();
-            if (!response.ok) throw new Error(data.error || 'Server error');
+            if (!response.ok) {
+                const message = data.code === 'MEETING_NOT_STARTED'
+                    ? `This meeting starts at ${new Date(data.startsAt).toLocaleString()}`
+                    : data.error;
+                throw new Error(message || 'Server error');
+            }
+
+            // Participants wait for the host to admit them
+            if (data.Waiting) {
+                setIsLoading(false);
+                waitForAdmission(data.LobbyToken);
+                return;
+            }
+            lobbyTokenRef.current = null;
+            setIsWaiting(false);
 
-            // Store the roster
-            if (data.Roster) {
-                setAttendeeRoster(data.Roster);
+            // Stop preview before joining
+            if (previewStreamRef.current) {
+                previewStreamRef.current.getTracks().forEach(track => track.stop());
+            }
+
+            // Names come from the server; who is present comes from Chime
+            knownNamesRef.current = data.Roster || {};
+            hostIdsRef.current = new Set(data.Hosts);
+            presentAttendeesRef.current = new Set([data.JoinInfo.Attendee.AttendeeId]);
+            syncRoster();
+
+            // Keep the session token for privileged calls, and the rejoin token for a refresh
+            sessionTokenRef.current = data.SessionToken;
+            rejoinTokenRef.current = data.RejoinToken;
+            localStorage.setItem(rejoinKey(roomId), JSON.stringify({
+                token: data.RejoinToken,
+                name: data.Roster[data.JoinInfo.Attendee.AttendeeId] || name,
+            }));
+            setRole(data.Role || 'participant');
+            setMyAttendeeId(data.JoinInfo.Attendee.AttendeeId);
+            setExitNotice('');
+            setIsTranscribing(Boolean(data.Transcription));
+            loadChatHistory();
+            loadRaisedHands();
+            openEventStream(data.SessionToken);
+            if (data.Role === 'host') {
+                loadRecordingOptions();
+                loadTranscriptionOptions();
             }
 
             setInCall(true);
@@ -182,6 +1012,7 @@ function App() {
             setTimeout(() => initializeChime(data.JoinInfo), 100);
         } catch (error) {
             console.error('Failed to join:', error);
+            stopWaiting();
             alert(`Failed to join: ${error.message}`);
             setIsLoading(false);
         }
@@ -190,7 +1021,8 @@ function App() {
     const initializeChime = async (joinInfo) => {
         try {
             const logger = new ConsoleLogger('ChimeMeeting', LogLevel.INFO);
-            const deviceController = new DefaultDeviceController(logger);
+            // Audio transforms such as Voice Focus need Web Audio, which can't be turned on later
+            const deviceController = new DefaultDeviceController(logger, { enableWebAudio: noiseSuppressionSupported });
             const configuration = new MeetingSessionConfiguration(joinInfo.Meeting, joinInfo.Attendee);
 
             const meetingSession = new DefaultMeetingSession(configuration, logger, deviceController);
@@ -198,43 +1030,80 @@ function App() {
 
             const audioVideo = meetingSession.audioVideo;
 
-            // Attendee Presence Observer - Updates roster when attendees join/leave
+            // Speaking, mute state and signal strength of each attendee, for the tiles and participant list
+            const volumeIndicatorHandler = (attendeeId, volume, muted, signalStrength) => {
+                // Chime sends null for values that have not changed
+                if (signalStrength !== null) {
+                    setSignalStrengths(prev => (prev[attendeeId] === signalStrength
+                        ? prev
+                        : { ...prev, [attendeeId]: signalStrength }));
+                }
+                if (volume === null && muted === null) return;
+                setAudioStates(prev => {
+                    const current = prev[attendeeId] || { speaking: false, muted: false };
+                    const nowMuted = muted === null ? current.muted : muted;
+                    const speaking = !nowMuted && (volume === null ? current.speaking : volume > SPEAKING_VOLUME);
+                    // Volume changes constantly; only re-render when the highlight or badge changes
+                    return speaking === current.speaking && nowMuted === current.muted
+                        ? prev
+                        : { ...prev, [attendeeId]: { speaking, muted: nowMuted } };
+                });
+            };
+
+            // Active speaker for the speaker layout; the last one stays in the large tile through pauses
+            audioVideo.subscribeToActiveSpeakerDetector(new DefaultActiveSpeakerPolicy(), (attendeeIds) => {
+                const speaker = attendeeIds.find(attendeeId => attendeeId !== joinInfo.Attendee.AttendeeId);
+                if (speaker) setActiveSpeakerId(speaker);
+            });
+
+            // Attendee Presence Observer - Tracks who is in the call; names come from the push channel
             const attendeePresenceObserver = {
-                attendeeIdPresenceHandler: async (attendeeId, present, externalUserId, dropped) => {
+                attendeeIdPresenceHandler: (attendeeId, present, externalUserId, dropped) => {
                     console.log(`Attendee ${attendeeId} presence changed: ${present ? 'joined' : 'left'}`);
 
+                    // Content share attendees ("<attendeeId>#content") announce screen sharing
+                    if (attendeeId.endsWith(ContentShareConstants.Modality)) {
+                        const sharerId = attendeeId.slice(0, -ContentShareConstants.Modality.length);
+                        if (sharerId === joinInfo.Attendee.AttendeeId) return;
+                        const sharerName = knownNamesRef.current[sharerId] || 'Someone';
+                        showNotification(
+                            present ? `${sharerName} started sharing their screen` : `${sharerName} stopped sharing their screen`,
+                            'info'
+                        );
+                        return;
+                    }
+
+                    // Don't announce yourself
+                    const isMe = attendeeId === joinInfo.Attendee.AttendeeId;
                     if (present) {
-                        // When a new attendee joins, fetch the updated roster from backend
-                        try {
-                            const response = await fetch(`${API_URL}/api/roster/${encodeURIComponent(roomId)}`);
-                            const data = await response.json();
-                            if (data.roster) {
-                                console.log('Updated roster:', data.roster);
-                                const attendeeName = data.roster[attendeeId] || 'Someone';
-
-                                // Don't show notification for yourself joining
-                                const myAttendeeId = joinInfo.Attendee.AttendeeId;
-                                if (attendeeId !== myAttendeeId) {
-                                    showNotification(`${attendeeName} joined`, 'join');
-                                }
-
-                                setAttendeeRoster(data.roster);
+                        // Chime repeats presence after a reconnect
+                        if (presentAttendeesRef.current.has(attendeeId)) return;
+                        presentAttendeesRef.current.add(attendeeId);
+                        audioVideo.realtimeSubscribeToVolumeIndicator(attendeeId, volumeIndicatorHandler);
+                        if (!isMe) {
+                            const attendeeName = knownNamesRef.current[attendeeId];
+                            if (attendeeName) {
+                                announcePresence(attendeeName, true);
+                            } else {
+                                // Announced once the roster event with their name arrives
+                                pendingJoinsRef.current.add(attendeeId);
                             }
-                        } catch (error) {
-                            console.error('Failed to update roster:', error);
                         }
                     } else {
-                        // Get the name before removing from roster
-                        const leavingName = attendeeRoster[attendeeId] || 'Someone';
-                        showNotification(`${leavingName} left`, 'leave');
-
-                        // Remove attendee from roster when they leave
-                        setAttendeeRoster(prev => {
-                            const updated = { ...prev };
-                            delete updated[attendeeId];
-                            return updated;
+                        if (!presentAttendeesRef.current.delete(attendeeId)) return;
+                        pendingJoinsRef.current.delete(attendeeId);
+                        audioVideo.realtimeUnsubscribeFromVolumeIndicator(attendeeId);
+                        setSignalStrengths(prev => {
+                            const { [attendeeId]: gone, ...rest } = prev;
+                            return rest;
+                        });
+                        setAudioStates(prev => {
+                            const { [attendeeId]: gone, ...rest } = prev;
+                            return rest;
                         });
+                        if (!isMe) announcePresence(knownNamesRef.current[attendeeId] || 'Someone', false);
                     }
+                    syncRoster();
                 }
             };
 
@@ -249,26 +1118,176 @@ function App() {
                     console.log('Video tile updated:', tileState);
                     if (!tileState.boundAttendeeId) return;
 
+                    if (tileState.isContent) {
+                        const presenterId = tileState.boundAttendeeId.slice(0, -ContentShareConstants.Modality.length);
+                        // Only one sharer at a time: a newer share from someone else takes over ours
+                        if (isSharingRef.current && presenterId !== joinInfo.Attendee.AttendeeId) {
+                            audioVideo.stopContentShare();
+                        }
+                        // RemoteVideoTile binds it in the presenter layout
+                        setContentTile({ tileId: tileState.tileId, attendeeId: presenterId });
+                        return;
+                    }
+
                     if (tileState.localTile) {
                         if (localVideoRef.current) {
                             audioVideo.bindVideoElement(tileState.tileId, localVideoRef.current);
                         }
                     } else {
-                        if (remoteVideoRef.current) {
-                            audioVideo.bindVideoElement(tileState.tileId, remoteVideoRef.current);
-                            // Update state to trigger re-render with name
-                            setRemoteAttendeeId(tileState.boundAttendeeId);
-                        }
+                        // Add a grid tile per remote attendee; RemoteVideoTile binds it on render.
+                        // Beyond the cap the tile is remembered and shown once a slot frees up.
+                        knownTilesRef.current.set(tileState.tileId, tileState.boundAttendeeId);
+                        setRemoteTiles(prev => {
+                            if (prev.some(tile => tile.tileId === tileState.tileId)) return prev;
+                            if (prev.length >= MAX_VIDEO_TILES - 1) return prev;
+                            return [...prev, { tileId: tileState.tileId, attendeeId: tileState.boundAttendeeId }];
+                        });
                     }
                 },
                 videoTileDidRemove: (tileId) => {
                     console.log('Video tile removed:', tileId);
                     audioVideo.unbindVideoElement(tileId);
-                    // Clear remote attendee if their tile is removed
-                    setRemoteAttendeeId(null);
+                    // Drop the tile so the grid re-flows, moving a waiting tile into the free slot
+                    knownTilesRef.current.delete(tileId);
+                    setRemoteTiles(prev => {
+                        const rest = prev.filter(tile => tile.tileId !== tileId);
+                        if (rest.length === prev.length) return prev;
+                        const waiting = [...knownTilesRef.current]
+                            .find(([waitingId]) => !rest.some(tile => tile.tileId === waitingId));
+                        return waiting ? [...rest, { tileId: waiting[0], attendeeId: waiting[1] }] : rest;
+                    });
+                    setContentTile(prev => (prev && prev.tileId === tileId ? null : prev));
                 }
             };
 
+            // Chat - messages from others arrive over the realtime data-message channel
+            audioVideo.realtimeSubscribeToReceiveDataMessage(CHAT_TOPIC, (dataMessage) => {
+                const message = dataMessage.json();
+                addChatMessage(message);
+                if (activePanelRef.current !== 'chat') {
+                    setUnreadCount(count => count + 1);
+                    showNotification(`${message.name}: ${message.text}`, 'info');
+                }
+            });
+
+            // Moderation - hosts mute us or ask us to unmute
+            audioVideo.realtimeSubscribeToReceiveDataMessage(MODERATION_TOPIC, (dataMessage) => {
+                // Chime stamps the real sender, so anyone but a host is ignored
+                if (!hostIdsRef.current.has(dataMessage.senderAttendeeId)) return;
+                const command = dataMessage.json();
+                if (command.action !== 'mute-all' && command.attendeeId !== joinInfo.Attendee.AttendeeId) return;
+
+                const hostName = knownNamesRef.current[dataMessage.senderAttendeeId] || 'The host';
+                if (command.action === 'ask-unmute') {
+                    if (audioVideo.realtimeIsLocalAudioMuted()) setUnmuteRequest(hostName);
+                    return;
+                }
+                audioVideo.realtimeMuteLocalAudio();
+                setIsMuted(true);
+                setUnmuteRequest(null);
+                showNotification(`${hostName} muted you`, 'leave');
+                addChatSystemLine(`${hostName} muted you`);
+            });
+
+            // Raised hands - people raise or lower their own; hosts may lower anyone's
+            audioVideo.realtimeSubscribeToReceiveDataMessage(HAND_TOPIC, (dataMessage) => {
+                const change = dataMessage.json();
+                const senderId = dataMessage.senderAttendeeId;
+                const fromHost = hostIdsRef.current.has(senderId);
+                if (change.attendeeId !== senderId && (!fromHost || change.raised)) return;
+                applyHandChange(change);
+
+                const myId = joinInfo.Attendee.AttendeeId;
+                const senderName = knownNamesRef.current[senderId] || 'Someone';
+                if (change.raised && hostIdsRef.current.has(myId)) {
+                    showNotification(`${senderName} raised their hand`, 'info');
+                } else if (!change.raised && change.attendeeId === myId && senderId !== myId) {
+                    showNotification(`${senderName} lowered your hand`, 'info');
+                }
+            });
+
+            // Reactions - shown briefly over the sender's tile
+            audioVideo.realtimeSubscribeToReceiveDataMessage(REACTION_TOPIC, (dataMessage) => {
+                const { emoji } = dataMessage.json();
+                if (REACTIONS.includes(emoji)) showReaction(dataMessage.senderAttendeeId, emoji);
+            });
+
+            // Transcript events - live captions and transcription start/stop for everyone
+            if (audioVideo.transcriptionController) {
+                audioVideo.transcriptionController.subscribeToTranscriptEvent((event) => {
+                    if (event instanceof TranscriptionStatus) {
+                        if (event.type === TranscriptionStatusType.STARTED || event.type === TranscriptionStatusType.RESUMED) {
+                            setIsTranscribing(true);
+                        } else if (event.type === TranscriptionStatusType.STOPPED || event.type === TranscriptionStatusType.FAILED) {
+                            setIsTranscribing(false);
+                            setCaptions([]);
+                            if (event.type === TranscriptionStatusType.FAILED) {
+                                showNotification('Live captions stopped unexpectedly', 'leave');
+                            }
+                        }
+                    } else if (event instanceof Transcript) {
+                        event.results.forEach(showCaption);
+                    }
+                });
+            }
+
+            // Content Share Observer - Tracks our own screen share, including the browser's "Stop sharing"
+            audioVideo.addContentShareObserver({
+                contentShareDidStart: () => {
+                    isSharingRef.current = true;
+                    setIsSharing(true);
+                },
+                contentShareDidStop: () => {
+                    isSharingRef.current = false;
+                    setIsSharing(false);
+                }
+            });
+
+            // Session Observer - Leaves the call when the host ends the meeting or removes us
+            audioVideo.addObserver({
+                audioVideoDidStop: (sessionStatus) => {
+                    const statusCode = sessionStatus.statusCode();
+                    if (statusCode === MeetingSessionStatusCode.AudioJoinedFromAnotherDevice) {
+                        leaveCall();
+                        setExitNotice('You joined this meeting from another window.');
+                    } else if (statusCode === MeetingSessionStatusCode.AudioAttendeeRemoved) {
+                        // Keep the rejoin token: it is what keeps us out if we try to join again
+                        leaveCall({ keepIdentity: true });
+                        setExitNotice('You were removed from the meeting by the host.');
+                    } else if (statusCode === MeetingSessionStatusCode.MeetingEnded) {
+                        // The host who ended the meeting has already left
+                        if (endingMeetingRef.current) return;
+                        leaveCall();
+                        setExitNotice('The meeting has been ended by the host.');
+                    }
+                }
+            });
+
+            // Connection Observer - Reconnecting banner and adapting our video to the uplink
+            audioVideo.addObserver({
+                audioVideoDidStartConnecting: (reconnecting) => {
+                    if (reconnecting) setIsReconnecting(true);
+                },
+                audioVideoDidStart: () => {
+                    setIsReconnecting(false);
+                },
+                connectionDidBecomePoor: () => {
+                    lowerVideoQuality();
+                },
+                connectionDidSuggestStopVideo: () => {
+                    lowerVideoQuality();
+                    setSuggestCameraOff(true);
+                },
+                connectionDidBecomeGood: () => {
+                    setSuggestCameraOff(false);
+                },
+                metricsDidReceive: (clientMetricReport) => {
+                    const { availableOutgoingBitrate } = clientMetricReport.getObservableMetrics();
+                    if (availableOutgoingBitrate === undefined) return;
+                    adaptVideoQuality(availableOutgoingBitrate / 1000);
+                }
+            });
+
             // Use addObserver if addVideoTileObserver is missing for some reason (SDK edge case)
             if (typeof audioVideo.addVideoTileObserver === 'function') {
                 audioVideo.addVideoTileObserver(observer);
@@ -276,23 +1295,75 @@ function App() {
                 audioVideo.addObserver(observer);
             }
 
-            // Setup Devices
+            // Setup Devices - use the ones picked on the join screen, which are saved as they are chosen
+            const preferences = loadDevicePreferences();
             const audioInputs = await audioVideo.listAudioInputDevices();
             const videoInputs = await audioVideo.listVideoInputDevices();
+            const audioOutputs = await audioVideo.listAudioOutputDevices();
+            setDevices({ audioInputs, videoInputs, audioOutputs });
 
-            if (audioInputs.length > 0) {
-                audioInputRef.current = audioInputs[0].deviceId;
-                await audioVideo.startAudioInput(audioInputs[0].deviceId);
+            audioInputRef.current = pickDevice(audioInputs, preferences.audioInput);
+            if (audioInputRef.current) {
+                await audioVideo.startAudioInput(await microphoneDevice(audioInputRef.current));
             }
 
-            if (videoInputs.length > 0) {
-                videoInputRef.current = videoInputs[0].deviceId;
-                await audioVideo.startVideoInput(videoInputs[0].deviceId);
+            videoInputRef.current = pickDevice(videoInputs, preferences.videoInput);
+            if (videoInputRef.current) {
+                await audioVideo.startVideoInput(await cameraDevice(videoInputRef.current));
             }
 
             // Setup Audio Output
             const audioOutput = document.createElement('audio');
-            audioVideo.bindAudioElement(audioOutput);
+            await audioVideo.bindAudioElement(audioOutput);
+            audioOutputRef.current = pickDevice(audioOutputs, preferences.audioOutput);
+            if (audioOutputRef.current) {
+                await audioVideo.chooseAudioOutput(audioOutputRef.current);
+            }
+
+            setSelectedDevices({
+                audioInput: audioInputRef.current,
+                videoInput: videoInputRef.current,
+                audioOutput: audioOutputRef.current,
+            });
+
+            // Device Change Observer - Keeps the lists fresh and falls back when a device is unplugged
+            audioVideo.addDeviceChangeObserver({
+                audioInputsChanged: async (freshAudioInputs) => {
+                    setDevices(prev => ({ ...prev, audioInputs: freshAudioInputs }));
+                    if (freshAudioInputs.some(device => device.deviceId === audioInputRef.current)) return;
+                    audioInputRef.current = pickDevice(freshAudioInputs, loadDevicePreferences().audioInput);
+                    setSelectedDevices(prev => ({ ...prev, audioInput: audioInputRef.current }));
+                    if (audioInputRef.current) {
+                        await audioVideo.startAudioInput(await microphoneDevice(audioInputRef.current));
+                        showNotification('Microphone changed', 'info');
+                    } else {
+                        await audioVideo.stopAudioInput();
+                        showNotification('No microphone found', 'leave');
+                    }
+                },
+                videoInputsChanged: async (freshVideoInputs) => {
+                    setDevices(prev => ({ ...prev, videoInputs: freshVideoInputs }));
+                    if (freshVideoInputs.some(device => device.deviceId === videoInputRef.current)) return;
+                    videoInputRef.current = pickDevice(freshVideoInputs, loadDevicePreferences().videoInput);
+                    setSelectedDevices(prev => ({ ...prev, videoInput: videoInputRef.current }));
+                    // Only restart the camera if it was on
+                    if (!audioVideo.hasStartedLocalVideoTile()) return;
+                    if (videoInputRef.current) {
+                        await audioVideo.startVideoInput(await cameraDevice(videoInputRef.current));
+                        showNotification('Camera changed', 'info');
+                    } else {
+                        await audioVideo.stopVideoInput();
+                        showNotification('No camera found', 'leave');
+                    }
+                },
+                audioOutputsChanged: async (freshAudioOutputs) => {
+                    setDevices(prev => ({ ...prev, audioOutputs: freshAudioOutputs }));
+                    if (freshAudioOutputs.some(device => device.deviceId === audioOutputRef.current)) return;
+                    audioOutputRef.current = pickDevice(freshAudioOutputs, loadDevicePreferences().audioOutput);
+                    setSelectedDevices(prev => ({ ...prev, audioOutput: audioOutputRef.current }));
+                    await audioVideo.chooseAudioOutput(audioOutputRef.current);
+                }
+            });
 
             // Start Session
             audioVideo.start();
@@ -306,11 +1377,161 @@ function App() {
         }
     };
 
+    // Our microphone as Chime should start it: through Voice Focus when noise suppression is on and works here
+    const microphoneDevice = async (deviceId) => {
+        if (!noiseSuppressionRef.current || !noiseSuppressionSupported || !deviceId) {
+            setIsNoiseSuppressed(false);
+            return deviceId;
+        }
+        try {
+            if (voiceFocusDeviceRef.current) {
+                voiceFocusDeviceRef.current = await voiceFocusDeviceRef.current.chooseNewInnerDevice(deviceId);
+                return voiceFocusDeviceRef.current;
+            }
+            if (!voiceFocusRef.current) {
+                voiceFocusRef.current = VoiceFocusDeviceTransformer.create({ variant: 'auto' }, { logger: voiceFocusLogger });
+            }
+            const transformer = await voiceFocusRef.current;
+            // An unsupported transformer hands back no device
+            const device = transformer.isSupported() ? await transformer.createTransformDevice(deviceId) : undefined;
+            if (device) {
+                voiceFocusDeviceRef.current = device;
+                setIsNoiseSuppressed(true);
+                return device;
+            }
+        } catch (error) {
+            console.error('Noise suppression failed to start:', error);
+            voiceFocusRef.current = null;
+        }
+        setIsNoiseSuppressed(false);
+        showNotification('Noise suppression is not available on this device', 'leave');
+        return deviceId;
+    };
+
+    const toggleNoiseSuppression = async () => {
+        const enabled = !noiseSuppressionRef.current;
+        noiseSuppressionRef.current = enabled;
+        setNoiseSuppression(enabled);
+        saveDevicePreference('noiseSuppression', enabled);
+        if (!sessionRef.current || !audioInputRef.current) return;
+
+        const previous = voiceFocusDeviceRef.current;
+        voiceFocusDeviceRef.current = null;
+        try {
+            await sessionRef.current.audioVideo.startAudioInput(await microphoneDevice(audioInputRef.current));
+            // Chime has switched over, so the old Voice Focus device can go
+            if (previous) await previous.stop();
+        } catch (error) {
+            console.error('Failed to switch noise suppression:', error);
+            showNotification('Could not switch noise suppression', 'leave');
+        }
+    };
+
+    // Our camera as Chime should start it: wrapped in the background effect when one is chosen
+    const cameraDevice = async (deviceId) => {
+        if (backgroundRef.current.effect === 'none' || !deviceId) return deviceId;
+        if (transformDeviceRef.current) {
+            // Same effect on a new inner device (a new object also makes Chime apply new quality settings)
+            transformDeviceRef.current = transformDeviceRef.current.chooseNewInnerDevice(deviceId);
+            return transformDeviceRef.current;
+        }
+        const processor = await createBackgroundProcessor(backgroundRef.current);
+        if (!processor) {
+            showNotification('Background effect could not start; showing your camera without it', 'leave');
+            return deviceId;
+        }
+        transformDeviceRef.current = new DefaultVideoTransformDevice(backgroundLogger, deviceId, [processor]);
+        return transformDeviceRef.current;
+    };
+
+    // Pick a background effect; on the join screen the preview follows, in a call the camera switches over
+    const changeBackground = async (choice) => {
+        backgroundRef.current = choice;
+        setBackground(choice);
+        saveBackgroundPreference(choice);
+        if (!sessionRef.current) return;
+
+        const audioVideo = sessionRef.current.audioVideo;
+        const cameraOn = Boolean(videoInputRef.current) && audioVideo.hasStartedLocalVideoTile();
+        const previous = transformDeviceRef.current;
+        transformDeviceRef.current = null;
+        try {
+            // Chime must let go of the old effect before it can be disposed of
+            if (previous && cameraOn) await audioVideo.startVideoInput(videoInputRef.current);
+            if (previous) await previous.stop();
+            if (cameraOn) await audioVideo.startVideoInput(await cameraDevice(videoInputRef.current));
+        } catch (error) {
+            console.error('Failed to change background:', error);
+            showNotification('Could not change the background', 'leave');
+        }
+    };
+
+    const chooseBackgroundImage = async (file) => {
+        try {
+            changeBackground({ effect: 'replace', image: await readBackgroundImage(file) });
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    // Set the capture and bandwidth limits of one of VIDEO_QUALITY_LEVELS for the next camera start
+    const chooseVideoQuality = (audioVideo, level) => {
+        const { width, height, frameRate, maxBandwidthKbps } = VIDEO_QUALITY_LEVELS[level];
+        videoQualityRef.current = level;
+        healthyReportsRef.current = 0;
+        setVideoQuality(level);
+        audioVideo.chooseVideoInputQuality(width, height, frameRate);
+        audioVideo.setVideoMaxBandwidthKbps(maxBandwidthKbps);
+    };
+
+    // Send our video at one of VIDEO_QUALITY_LEVELS; the running camera is restarted to pick it up.
+    // Nothing changes while the camera is off: toggleCamera picks the quality when it comes back on.
+    const applyVideoQuality = async (level) => {
+        if (!sessionRef.current || level === videoQualityRef.current) return;
+        const audioVideo = sessionRef.current.audioVideo;
+        if (!videoInputRef.current || !audioVideo.hasStartedLocalVideoTile()) return;
+        const { label } = VIDEO_QUALITY_LEVELS[level];
+        const lowered = level > videoQualityRef.current;
+        chooseVideoQuality(audioVideo, level);
+        await audioVideo.startVideoInput(await cameraDevice(videoInputRef.current));
+        showNotification(
+            lowered ? `Weak connection: video lowered to ${label}` : `Connection improved: video back to ${label}`,
+            lowered ? 'leave' : 'info'
+        );
+    };
+
+    const lowerVideoQuality = () => {
+        if (videoQualityRef.current < VIDEO_QUALITY_LEVELS.length - 1) {
+            applyVideoQuality(videoQualityRef.current + 1);
+        }
+    };
+
+    // Called with the uplink estimate from each metrics report (about once a second)
+    const adaptVideoQuality = (uplinkKbps) => {
+        uplinkKbpsRef.current = uplinkKbps;
+        if (!sessionRef.current || !sessionRef.current.audioVideo.hasStartedLocalVideoTile()) return;
+        const level = videoQualityRef.current;
+        if (uplinkKbps < VIDEO_QUALITY_LEVELS[level].minUplinkKbps) {
+            lowerVideoQuality();
+            return;
+        }
+        // Step back up only after the uplink has had headroom for a while
+        if (level > 0 && uplinkKbps >= VIDEO_QUALITY_LEVELS[level - 1].minUplinkKbps * QUALITY_RECOVERY_MARGIN) {
+            healthyReportsRef.current += 1;
+            if (healthyReportsRef.current >= QUALITY_RECOVERY_REPORTS) {
+                applyVideoQuality(level - 1);
+            }
+        } else {
+            healthyReportsRef.current = 0;
+        }
+    };
+
     const toggleMute = () => {
         if (!sessionRef.current) return;
         const audioVideo = sessionRef.current.audioVideo;
         if (isMuted) {
             audioVideo.realtimeUnmuteLocalAudio();
+            setUnmuteRequest(null);
         } else {
             audioVideo.realtimeMuteLocalAudio();
         }
@@ -321,7 +1542,12 @@ function App() {
         if (!sessionRef.current) return;
         const audioVideo = sessionRef.current.audioVideo;
         if (isCamOff) {
-            await audioVideo.startVideoInput(videoInputRef.current);
+            // Start at the best quality the current uplink allows, since it was not adapted while off
+            if (uplinkKbpsRef.current !== null) {
+                const uplinkKbps = uplinkKbpsRef.current;
+                chooseVideoQuality(audioVideo, VIDEO_QUALITY_LEVELS.findIndex(level => uplinkKbps >= level.minUplinkKbps));
+            }
+            await audioVideo.startVideoInput(await cameraDevice(videoInputRef.current));
             audioVideo.startLocalVideoTile();
         } else {
             await audioVideo.stopVideoInput();
@@ -330,20 +1556,362 @@ function App() {
         setIsCamOff(!isCamOff);
     };
 
-    const leaveCall = () => {
+    // Raise or lower a hand (our own, or as host anyone's; no attendeeId with all lowers every hand)
+    const changeHand = async (raised, { attendeeId, all } = {}) => {
+        if (!sessionRef.current) return;
+        try {
+            const response = await fetch(`${API_URL}/api/hands/${encodeURIComponent(roomId)}`, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ raised, attendeeId, all }),
+            });
+            const data = await response.json();
+            if (!response.ok) return alert(data.error);
+            sessionRef.current.audioVideo.realtimeSendDataMessage(HAND_TOPIC, data.change);
+            setRaisedHands(data.hands);
+        } catch (error) {
+            alert('Failed to update your hand');
+        }
+    };
+
+    const sendReaction = (emoji) => {
+        if (!sessionRef.current) return;
+        sessionRef.current.audioVideo.realtimeSendDataMessage(REACTION_TOPIC, { emoji });
+        showReaction(myAttendeeId, emoji);
+        setShowReactionPicker(false);
+    };
+
+    const togglePanel = (panel) => {
+        setActivePanel(activePanel === panel ? null : panel);
+        if (panel === 'chat') setUnreadCount(0);
+    };
+
+    const sendChatMessage = async (e) => {
+        e.preventDefault();
+        const text = chatDraft.trim();
+        if (!text || !sessionRef.current) return;
+        // Measure the envelope the server will build, in UTF-8 bytes (its id is a UUID of this length)
+        const envelope = {
+            id: '00000000-0000-0000-0000-000000000000',
+            attendeeId: myAttendeeId,
+            name: knownNamesRef.current[myAttendeeId] || name,
+            text,
+            sentAt: new Date().toISOString(),
+        };
+        if (new TextEncoder().encode(JSON.stringify(envelope)).length > MAX_CHAT_MESSAGE_BYTES) {
+            return alert('This message is too long to send');
+        }
+        try {
+            // Store first so late joiners see it, then relay it live
+            const response = await fetch(`${API_URL}/api/chat/${encodeURIComponent(roomId)}`, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ text }),
+            });
+            const data = await response.json();
+            if (!response.ok) return alert(data.error);
+            sessionRef.current.audioVideo.realtimeSendDataMessage(CHAT_TOPIC, data.message);
+            addChatMessage(data.message);
+            setChatDraft('');
+        } catch (error) {
+            alert('Failed to send message');
+        }
+    };
+
+    // Join-screen device lists; labels and IDs are only filled in once access has been granted
+    const refreshPreviewDevices = async () => {
+        try {
+            const all = await navigator.mediaDevices.enumerateDevices();
+            const ofKind = kind => all.filter(device => device.kind === kind && device.deviceId);
+            setDevices({
+                audioInputs: ofKind('audioinput'),
+                videoInputs: ofKind('videoinput'),
+                audioOutputs: ofKind('audiooutput'),
+            });
+        } catch (error) {
+            console.error('Failed to list devices:', error);
+        }
+    };
+
+    // On the join screen a device choice is only remembered; the preview and initializeChime pick it up
+    const chooseDevice = (kind, deviceId) => {
+        setSelectedDevices(prev => ({ ...prev, [kind]: deviceId }));
+        saveDevicePreference(kind, deviceId);
+        if (kind === 'audioOutput') setDeviceErrors(prev => ({ ...prev, speaker: null }));
+    };
+
+    // Play a short chime on the chosen speaker
+    const playTestSound = async () => {
+        const context = new AudioContext();
+        const destination = context.createMediaStreamDestination();
+        const audio = new Audio();
+        audio.srcObject = destination.stream;
+        setIsPlayingTestSound(true);
+        try {
+            // Browsers without setSinkId can only play on the system default
+            if (selectedDevices.audioOutput && typeof audio.setSinkId === 'function') {
+                await audio.setSinkId(selectedDevices.audioOutput);
+            }
+            await audio.play();
+            const start = context.currentTime;
+            TEST_SOUND_NOTES.forEach((frequency, index) => {
+                const noteStart = start + index * TEST_SOUND_NOTE_SECONDS;
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.3, noteStart);
+                gain.gain.exponentialRampToValueAtTime(0.001, noteStart + TEST_SOUND_NOTE_SECONDS);
+                oscillator.connect(gain).connect(destination);
+                oscillator.start(noteStart);
+                oscillator.stop(noteStart + TEST_SOUND_NOTE_SECONDS);
+            });
+            setDeviceErrors(prev => ({ ...prev, speaker: null }));
+            setTimeout(() => {
+                audio.pause();
+                context.close();
+                setIsPlayingTestSound(false);
+            }, TEST_SOUND_NOTES.length * TEST_SOUND_NOTE_SECONDS * 1000 + 100);
+        } catch (error) {
+            console.error('Test sound failed:', error);
+            context.close();
+            setIsPlayingTestSound(false);
+            setDeviceErrors(prev => ({ ...prev, speaker: `Could not play sound on this speaker: ${error.message}` }));
+        }
+    };
+
+    // Device hot-swap: switch devices mid-call without rejoining
+    const changeAudioInput = async (deviceId) => {
+        if (!sessionRef.current) return chooseDevice('audioInput', deviceId);
+        try {
+            await sessionRef.current.audioVideo.startAudioInput(await microphoneDevice(deviceId));
+            audioInputRef.current = deviceId;
+            setSelectedDevices(prev => ({ ...prev, audioInput: deviceId }));
+            saveDevicePreference('audioInput', deviceId);
+        } catch (error) {
+            console.error('Failed to switch microphone:', error);
+            alert(`Could not use this microphone: ${error.message}`);
+        }
+    };
+
+    const changeVideoInput = async (deviceId) => {
+        if (!sessionRef.current) return chooseDevice('videoInput', deviceId);
+        try {
+            // With the camera off, just remember the choice for when it comes back on
+            if (!isCamOff) {
+                await sessionRef.current.audioVideo.startVideoInput(await cameraDevice(deviceId));
+            }
+            videoInputRef.current = deviceId;
+            setSelectedDevices(prev => ({ ...prev, videoInput: deviceId }));
+            saveDevicePreference('videoInput', deviceId);
+        } catch (error) {
+            console.error('Failed to switch camera:', error);
+            alert(`Could not use this camera: ${error.message}`);
+        }
+    };
+
+    const changeAudioOutput = async (deviceId) => {
+        if (!sessionRef.current) return chooseDevice('audioOutput', deviceId);
+        try {
+            await sessionRef.current.audioVideo.chooseAudioOutput(deviceId);
+            audioOutputRef.current = deviceId;
+            setSelectedDevices(prev => ({ ...prev, audioOutput: deviceId }));
+            saveDevicePreference('audioOutput', deviceId);
+        } catch (error) {
+            console.error('Failed to switch speaker:', error);
+            alert(`Could not use this speaker: ${error.message}`);
+        }
+    };
+
+    const toggleScreenShare = async () => {
+        if (!sessionRef.current) return;
+        const audioVideo = sessionRef.current.audioVideo;
+        if (isSharing) {
+            audioVideo.stopContentShare();
+            return;
+        }
+        try {
+            await audioVideo.startContentShareFromScreenCapture();
+        } catch (error) {
+            // Picking "Cancel" in the browser's screen picker lands here too
+            console.error('Screen share failed:', error);
+        }
+    };
+
+    const removeParticipant = async (attendeeId) => {
+        const attendeeName = attendeeRoster[attendeeId] || 'this participant';
+        if (!window.confirm(`Remove ${attendeeName} from the meeting?`)) return;
+        try {
+            const response = await fetch(`${API_URL}/api/attendee/remove`, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ title: roomId, attendeeId }),
+            });
+            const data = await response.json();
+            if (!response.ok) return alert(data.error);
+            presentAttendeesRef.current.delete(attendeeId);
+            syncRoster();
+            showNotification(data.message, 'leave');
+        } catch (error) {
+            alert('Failed to remove participant');
+        }
+    };
+
+    // Host: mute one participant or everyone else, or ask one to unmute; the server checks we are
+    // the host, then the command goes to the others over the data-message channel
+    const moderate = async (action, attendeeId = null) => {
+        try {
+            const response = await fetch(`${API_URL}/api/moderation`, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ title: roomId, action, attendeeId }),
+            });
+            const data = await response.json();
+            if (!response.ok) return alert(data.error);
+            sessionRef.current.audioVideo.realtimeSendDataMessage(MODERATION_TOPIC, data.command);
+            showNotification(data.message, 'info');
+        } catch (error) {
+            alert('Failed to send the request');
+        }
+    };
+
+    // Host: let a waiting participant in, or turn them away
+    const respondToLobby = async (requestId, admit) => {
+        try {
+            const response = await fetch(`${API_URL}/api/lobby/${admit ? 'admit' : 'deny'}`, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ title: roomId, requestId }),
+            });
+            const data = await response.json();
+            if (!response.ok) return alert(data.error);
+            lobbyQueueRef.current = data.lobby;
+            setLobbyQueue(data.lobby);
+            showNotification(data.message, admit ? 'join' : 'leave');
+        } catch (error) {
+            alert(`Failed to ${admit ? 'admit' : 'deny'} participant`);
+        }
+    };
+
+    const endMeetingForAll = async () => {
+        if (!window.confirm('End the meeting for everyone?')) return;
+        endingMeetingRef.current = true;
+        try {
+            const response = await fetch(`${API_URL}/api/end`, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ title: roomId }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                endingMeetingRef.current = false;
+                return alert(data.error);
+            }
+            leaveCall();
+        } catch (error) {
+            endingMeetingRef.current = false;
+            alert('Failed to end meeting');
+        }
+    };
+
+    // Leave on purpose: tell the backend so we drop off the roster right away, then clean up
+    const leaveMeeting = () => {
+        if (sessionTokenRef.current) {
+            fetch(`${API_URL}/api/leave`, {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({ title: roomId }),
+                keepalive: true,
+            }).catch(error => console.error('Leave error:', error));
+        }
+        leaveCall();
+    };
+
+    const leaveCall = ({ keepIdentity = false } = {}) => {
+        if (eventSourceRef.current) {
+            eventSourceRef.current.close();
+            eventSourceRef.current = null;
+        }
         if (sessionRef.current) {
+            if (isSharingRef.current) {
+                sessionRef.current.audioVideo.stopContentShare();
+            }
             sessionRef.current.audioVideo.stop();
+            // Dispose of the background effect once Chime has released the camera
+            const transformDevice = transformDeviceRef.current;
+            transformDeviceRef.current = null;
+            sessionRef.current.audioVideo.stopVideoInput().then(() => transformDevice && transformDevice.stop());
+            const voiceFocusDevice = voiceFocusDeviceRef.current;
+            voiceFocusDeviceRef.current = null;
+            sessionRef.current.audioVideo.stopAudioInput().then(() => voiceFocusDevice && voiceFocusDevice.stop());
             sessionRef.current = null;
         }
         setInCall(false);
         setIsMuted(false);
         setIsCamOff(false);
         setIsRecording(false);
+        setRole('participant');
+        setMyAttendeeId(null);
+        setActivePanel(null);
+        setRemoteTiles([]);
+        knownTilesRef.current = new Map();
+        setContentTile(null);
+        setIsSharing(false);
+        setChatMessages([]);
+        setChatDraft('');
+        setUnreadCount(0);
+        setIsTranscribing(false);
+        setCaptions([]);
+        setAttendeeRoster({});
+        setLobbyQueue([]);
+        lobbyQueueRef.current = [];
+        setSignalStrengths({});
+        setAudioStates({});
+        setActiveSpeakerId(null);
+        setIsReconnecting(false);
+        setSuggestCameraOff(false);
+        setUnmuteRequest(null);
+        hostIdsRef.current = new Set();
+        setRaisedHands([]);
+        setReactions({});
+        setShowReactionPicker(false);
+        setIsNoiseSuppressed(false);
+        setVideoQuality(0);
+        videoQualityRef.current = 0;
+        uplinkKbpsRef.current = null;
+        healthyReportsRef.current = 0;
+        knownNamesRef.current = {};
+        presentAttendeesRef.current = new Set();
+        pendingJoinsRef.current = new Set();
+        isSharingRef.current = false;
+        sessionTokenRef.current = null;
+        // Leaving forgets the identity, unless another window has taken it over
+        if (!keepIdentity && (loadRejoin(roomId) || {}).token === rejoinTokenRef.current) {
+            localStorage.removeItem(rejoinKey(roomId));
+        }
+        rejoinTokenRef.current = null;
+        endingMeetingRef.current = false;
         // Clear URL params
         window.history.replaceState({}, '', window.location.pathname);
     };
 
     if (inCall) {
+        const audioVideo = sessionRef.current && sessionRef.current.audioVideo;
+        // Speaker layout: the active speaker's video goes large unless someone is presenting
+        const spotlightTile = speakerLayout && !contentTile
+            ? remoteTiles.find(tile => tile.attendeeId === activeSpeakerId) || remoteTiles[0]
+            : null;
+        const gridTiles = spotlightTile ? remoteTiles.filter(tile => tile !== spotlightTile) : remoteTiles;
+        // Hands of people who are still here, in the order they went up
+        const handQueue = raisedHands.filter(hand => hand.attendeeId in attendeeRoster);
+        const myHandRaised = handQueue.some(hand => hand.attendeeId === myAttendeeId);
+        const tileStatus = (attendeeId) => ({
+            speaking: Boolean(audioStates[attendeeId] && audioStates[attendeeId].speaking),
+            muted: Boolean(audioStates[attendeeId] && audioStates[attendeeId].muted),
+            signalStrength: signalStrengths[attendeeId],
+            handRaised: handQueue.some(hand => hand.attendeeId === attendeeId),
+            reaction: reactions[attendeeId],
+        });
+
         return (
             <div className="call-layout">
                 {isLoading && (
@@ -353,6 +1921,29 @@ function App() {
                     </div>
                 )}
 
+                {isReconnecting && (
+                    <div className="connection-banner">
+                        <WifiOff size={18} />
+                        <span>Connection lost. Reconnecting...</span>
+                    </div>
+                )}
+                {!isReconnecting && unmuteRequest && isMuted && (
+                    <div className="connection-banner request">
+                        <Mic size={18} />
+                        <span>{unmuteRequest} is asking you to unmute.</span>
+                        <button onClick={toggleMute}>Unmute</button>
+                        <button onClick={() => setUnmuteRequest(null)}>Dismiss</button>
+                    </div>
+                )}
+                {!isReconnecting && !(unmuteRequest && isMuted) && suggestCameraOff && !isCamOff && (
+                    <div className="connection-banner weak">
+                        <SignalLow size={18} />
+                        <span>Your connection is weak. Turning off your camera keeps audio clear.</span>
+                        <button onClick={() => { setSuggestCameraOff(false); toggleCamera(); }}>Turn camera off</button>
+                        <button onClick={() => setSuggestCameraOff(false)}>Dismiss</button>
+                    </div>
+                )}
+
                 {/* Notification Toasts */}
                 <div className="notification-container">
                     {notifications.map(notif => (
@@ -365,26 +1956,345 @@ function App() {
                     ))}
                 </div>
 
-                <div className="video-section">
-                    <div className="video-grid">
-                        <div className="video-tile">
+                {activePanel === 'participants' && (
+                    <div className="side-panel">
+                        <div className="side-panel-header">
+                            <span>Participants ({Object.keys(attendeeRoster).length})</span>
+                            <div className="participant-actions">
+                                {isHost && Object.keys(attendeeRoster).length > 1 && (
+                                    <button className="mute-all-btn" onClick={() => moderate('mute-all')} title="Mute everyone else">
+                                        <MicOff size={14} />
+                                        Mute all
+                                    </button>
+                                )}
+                                <button className="panel-close" onClick={() => setActivePanel(null)} title="Close">
+                                    <X size={18} />
+                                </button>
+                            </div>
+                        </div>
+                        {isHost && lobbyQueue.length > 0 && (
+                            <>
+                                <div className="participant-section">Waiting to join ({lobbyQueue.length})</div>
+                                <ul className="participant-list">
+                                    {lobbyQueue.map(request => (
+                                        <li key={request.requestId} className="participant-item">
+                                            <span>{request.name}</span>
+                                            <div className="participant-actions">
+                                                <button
+                                                    className="participant-action admit"
+                                                    onClick={() => respondToLobby(request.requestId, true)}
+                                                    title={`Admit ${request.name}`}
+                                                >
+                                                    <UserCheck size={16} />
+                                                </button>
+                                                <button
+                                                    className="participant-action"
+                                                    onClick={() => respondToLobby(request.requestId, false)}
+                                                    title={`Deny ${request.name}`}
+                                                >
+                                                    <UserX size={16} />
+                                                </button>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                        {handQueue.length > 0 && (
+                            <>
+                                <div className="participant-section participant-section-header">
+                                    Raised hands ({handQueue.length})
+                                    {isHost && (
+                                        <button className="mute-all-btn" onClick={() => changeHand(false, { all: true })}>
+                                            Lower all
+                                        </button>
+                                    )}
+                                </div>
+                                <ol className="participant-list">
+                                    {handQueue.map(hand => (
+                                        <li key={hand.attendeeId} className="participant-item">
+                                            <span className="participant-name">
+                                                <Hand size={16} />
+                                                {attendeeRoster[hand.attendeeId] || hand.name}
+                                                {hand.attendeeId === myAttendeeId && ' (You)'}
+                                            </span>
+                                            {isHost && hand.attendeeId !== myAttendeeId && (
+                                                <button
+                                                    className="participant-action moderate"
+                                                    onClick={() => changeHand(false, { attendeeId: hand.attendeeId })}
+                                                    title={`Lower ${attendeeRoster[hand.attendeeId] || hand.name}'s hand`}
+                                                >
+                                                    <X size={16} />
+                                                </button>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ol>
+                            </>
+                        )}
+                        {((isHost && lobbyQueue.length > 0) || handQueue.length > 0) && (
+                            <div className="participant-section">In the call</div>
+                        )}
+                        <ul className="participant-list">
+                            {Object.entries(attendeeRoster).map(([attendeeId, attendeeName]) => (
+                                <li key={attendeeId} className="participant-item">
+                                    <span className="participant-name">
+                                        <SignalIndicator strength={signalStrengths[attendeeId]} />
+                                        {attendeeName}{attendeeId === myAttendeeId && ' (You)'}
+                                    </span>
+                                    {isHost && attendeeId !== myAttendeeId && (
+                                        <div className="participant-actions">
+                                            {audioStates[attendeeId] && audioStates[attendeeId].muted ? (
+                                                <button
+                                                    className="participant-action moderate"
+                                                    onClick={() => moderate('ask-unmute', attendeeId)}
+                                                    title={`Ask ${attendeeName} to unmute`}
+                                                >
+                                                    <Mic size={16} />
+                                                </button>
+                                            ) : (
+                                                <button
+                                                    className="participant-action moderate"
+                                                    onClick={() => moderate('mute', attendeeId)}
+                                                    title={`Mute ${attendeeName}`}
+                                                >
+                                                    <MicOff size={16} />
+                                                </button>
+                                            )}
+                                            <button
+                                                className="participant-action"
+                                                onClick={() => removeParticipant(attendeeId)}
+                                                title={`Remove ${attendeeName}`}
+                                            >
+                                                <UserX size={16} />
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {activePanel === 'chat' && (
+                    <div className="side-panel">
+                        <div className="side-panel-header">
+                            <span>Chat</span>
+                            <button className="panel-close" onClick={() => setActivePanel(null)} title="Close">
+                                <X size={18} />
+                            </button>
+                        </div>
+                        <div className="chat-messages">
+                            {chatMessages.map(message => (
+                                message.system ? (
+                                    <div key={message.id} className="chat-system-line">{message.text}</div>
+                                ) : (
+                                    <div
+                                        key={message.id}
+                                        className={`chat-message ${message.attendeeId === myAttendeeId ? 'own' : ''}`}
+                                    >
+                                        <div className="chat-meta">
+                                            {message.attendeeId === myAttendeeId ? 'You' : message.name}
+                                            {' · '}
+                                            {new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                        </div>
+                                        <div className="chat-text">{message.text}</div>
+                                    </div>
+                                )
+                            ))}
+                            <div ref={chatEndRef} />
+                        </div>
+                        <form className="chat-form" onSubmit={sendChatMessage}>
+                            <input
+                                className="chat-input"
+                                value={chatDraft}
+                                onChange={e => setChatDraft(e.target.value)}
+                                placeholder="Send a message"
+                                maxLength={MAX_CHAT_MESSAGE_LENGTH}
+                            />
+                            <button type="submit" className="chat-send" disabled={!chatDraft.trim()} title="Send">
+                                <Send size={18} />
+                            </button>
+                        </form>
+                    </div>
+                )}
+
+                {activePanel === 'settings' && (
+                    <div className="side-panel">
+                        <div className="side-panel-header">
+                            <span>Settings</span>
+                            <button className="panel-close" onClick={() => setActivePanel(null)} title="Close">
+                                <X size={18} />
+                            </button>
+                        </div>
+                        <div className="settings-body">
+                            <label className="settings-label">
+                                Microphone
+                                <select
+                                    className="settings-select"
+                                    value={selectedDevices.audioInput || ''}
+                                    onChange={e => changeAudioInput(e.target.value)}
+                                >
+                                    {devices.audioInputs.map(device => (
+                                        <option key={device.deviceId} value={device.deviceId}>
+                                            {device.label || 'Microphone'}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="settings-label">
+                                Camera
+                                <select
+                                    className="settings-select"
+                                    value={selectedDevices.videoInput || ''}
+                                    onChange={e => changeVideoInput(e.target.value)}
+                                >
+                                    {devices.videoInputs.map(device => (
+                                        <option key={device.deviceId} value={device.deviceId}>
+                                            {device.label || 'Camera'}
+                                        </option>
+                                    ))}
+                                </select>
+                                <span className="settings-hint">
+                                    Sending {VIDEO_QUALITY_LEVELS[videoQuality].label} video
+                                    {videoQuality > 0 && ' (lowered for your connection)'}
+                                </span>
+                            </label>
+                            <div className="settings-label">
+                                Background
+                                <BackgroundPicker
+                                    background={background}
+                                    support={backgroundSupport}
+                                    onChange={changeBackground}
+                                    onImageChosen={chooseBackgroundImage}
+                                    selectClassName="settings-select"
+                                />
+                            </div>
+                            <label className="settings-label">
+                                Speaker
+                                <select
+                                    className="settings-select"
+                                    value={selectedDevices.audioOutput || ''}
+                                    onChange={e => changeAudioOutput(e.target.value)}
+                                    disabled={devices.audioOutputs.length === 0}
+                                >
+                                    {devices.audioOutputs.length === 0 && (
+                                        <option value="">System default</option>
+                                    )}
+                                    {devices.audioOutputs.map(device => (
+                                        <option key={device.deviceId} value={device.deviceId}>
+                                            {device.label || 'Speaker'}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            {isHost && recordingOptions && Object.entries(recordingOptions.allowed)
+                                // Options with a single allowed value are not a choice
+                                .filter(([, values]) => values.length > 1)
+                                .map(([option, values]) => (
+                                    <label key={option} className="settings-label">
+                                        {RECORDING_OPTION_LABELS[option] || option}
+                                        <select
+                                            className="settings-select"
+                                            value={gridOptions[option] || ''}
+                                            onChange={e => setGridOptions(prev => ({ ...prev, [option]: e.target.value }))}
+                                            disabled={isRecording}
+                                        >
+                                            {values.map(value => (
+                                                <option key={value} value={value}>{value}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                            {isHost && transcriptionOptions && (
+                                <label className="settings-label">
+                                    Caption Language
+                                    <select
+                                        className="settings-select"
+                                        value={transcriptionLanguage}
+                                        onChange={e => setTranscriptionLanguage(e.target.value)}
+                                        disabled={isTranscribing}
+                                    >
+                                        {transcriptionOptions.languages.map(language => (
+                                            <option key={language} value={language}>{language}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                <div className={`video-section ${contentTile || spotlightTile ? 'presenter-layout' : ''}`}>
+                    {contentTile && (
+                        <RemoteVideoTile
+                            key={contentTile.tileId}
+                            className="video-tile content-tile"
+                            tileId={contentTile.tileId}
+                            label={contentTile.attendeeId === myAttendeeId
+                                ? 'You are presenting'
+                                : `${attendeeRoster[contentTile.attendeeId] || 'Someone'} is presenting`}
+                            audioVideo={audioVideo}
+                        />
+                    )}
+                    {spotlightTile && (
+                        <RemoteVideoTile
+                            key={spotlightTile.tileId}
+                            className="video-tile content-tile speaker-tile"
+                            tileId={spotlightTile.tileId}
+                            label={attendeeRoster[spotlightTile.attendeeId] || 'Remote Participant'}
+                            audioVideo={audioVideo}
+                            {...tileStatus(spotlightTile.attendeeId)}
+                        />
+                    )}
+                    <div
+                        className="video-grid"
+                        style={{ '--grid-columns': contentTile || spotlightTile ? 1 : Math.ceil(Math.sqrt(Math.max(remoteTiles.length, 1) + 1)) }}
+                    >
+                        <div className={`video-tile${tileStatus(myAttendeeId).speaking ? ' speaking' : ''}`}>
                             <video ref={localVideoRef} autoPlay muted playsInline />
                             <div className="tile-label">You ({name})</div>
+                            <TileStatus muted={isMuted} signalStrength={signalStrengths[myAttendeeId]} handRaised={myHandRaised} />
+                            {reactions[myAttendeeId] && (
+                                <div key={reactions[myAttendeeId].id} className="tile-reaction">{reactions[myAttendeeId].emoji}</div>
+                            )}
                         </div>
-                        <div className="video-tile">
-                            <video ref={remoteVideoRef} autoPlay playsInline />
-                            <div className="tile-label">
-                                {remoteAttendeeId
-                                    ? (attendeeRoster[remoteAttendeeId] || 'Remote Participant')
-                                    : 'Waiting for participant...'}
+                        {gridTiles.map(tile => (
+                            <RemoteVideoTile
+                                key={tile.tileId}
+                                tileId={tile.tileId}
+                                label={attendeeRoster[tile.attendeeId] || 'Remote Participant'}
+                                audioVideo={audioVideo}
+                                {...tileStatus(tile.attendeeId)}
+                            />
+                        ))}
+                        {remoteTiles.length === 0 && (
+                            <div className="video-tile">
+                                <div className="tile-label">Waiting for participant...</div>
                             </div>
-                        </div>
+                        )}
                     </div>
                 </div>
 
+                {isTranscribing && showCaptions && captions.length > 0 && (
+                    <div className="captions-anchor">
+                        <div className="captions-overlay">
+                            {captions.map(caption => (
+                                <div key={caption.resultId} className="caption-line">
+                                    <span className="caption-speaker">
+                                        {caption.attendeeId === myAttendeeId ? 'You' : attendeeRoster[caption.attendeeId] || 'Speaker'}:
+                                    </span>
+                                    {' '}{caption.text}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 <div className="control-bar">
                     <div className="meeting-info">
-                        Meeting: {roomId}
+                        Meeting: {roomId}{isHost && ' · Host'}
+                        {isRecording && <span className="rec-indicator">● REC</span>}
                     </div>
 
                     <div className="main-controls">
@@ -395,6 +2305,16 @@ function App() {
                         >
                             {isMuted ? <MicOff size={24} /> : <Mic size={24} />}
                         </button>
+                        <button
+                            className={`icon-btn ${isNoiseSuppressed ? 'active' : ''}`}
+                            onClick={toggleNoiseSuppression}
+                            disabled={!noiseSuppressionSupported}
+                            title={!noiseSuppressionSupported
+                                ? 'Noise suppression is not supported in this browser'
+                                : isNoiseSuppressed ? 'Noise suppression on' : 'Noise suppression off'}
+                        >
+                            <AudioLines size={24} />
+                        </button>
                         <button
                             className={`icon-btn ${isCamOff ? 'off' : ''}`}
                             onClick={toggleCamera}
@@ -402,8 +2322,41 @@ function App() {
                         >
                             {isCamOff ? <VideoOff size={24} /> : <Video size={24} />}
                         </button>
+                        <button
+                            className={`icon-btn ${isSharing ? 'active' : ''}`}
+                            onClick={toggleScreenShare}
+                            disabled={!isSharing && !!contentTile}
+                            title={isSharing
+                                ? 'Stop Sharing'
+                                : contentTile ? 'Someone else is presenting' : 'Share Screen'}
+                        >
+                            {isSharing ? <MonitorOff size={24} /> : <MonitorUp size={24} />}
+                        </button>
+                        <button
+                            className={`icon-btn ${myHandRaised ? 'active' : ''}`}
+                            onClick={() => changeHand(!myHandRaised)}
+                            title={myHandRaised ? 'Lower Hand' : 'Raise Hand'}
+                        >
+                            <Hand size={24} />
+                        </button>
+                        <div className="reaction-anchor">
+                            <button
+                                className={`icon-btn ${showReactionPicker ? 'active' : ''}`}
+                                onClick={() => setShowReactionPicker(!showReactionPicker)}
+                                title="Reactions"
+                            >
+                                <Smile size={24} />
+                            </button>
+                            {showReactionPicker && (
+                                <div className="reaction-picker">
+                                    {REACTIONS.map(emoji => (
+                                        <button key={emoji} onClick={() => sendReaction(emoji)}>{emoji}</button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
 
-                        {!isRecording ? (
+                        {isHost && (!isRecording ? (
                             <>
                                 <button
                                     className="icon-btn"
@@ -429,19 +2382,75 @@ function App() {
                             >
                                 <Square size={20} fill="currentColor" />
                             </button>
+                        ))}
+                        {isHost && (
+                            <button
+                                className={`icon-btn ${isTranscribing ? 'active' : ''}`}
+                                onClick={toggleTranscription}
+                                title={isTranscribing ? 'Stop Live Captions' : 'Start Live Captions'}
+                            >
+                                <Captions size={24} />
+                            </button>
                         )}
 
                         <button
                             className="icon-btn end"
-                            onClick={leaveCall}
+                            onClick={leaveMeeting}
                             title="End Call"
                         >
                             <Phone size={24} />
                         </button>
+                        {isHost && (
+                            <button
+                                className="icon-btn end"
+                                onClick={endMeetingForAll}
+                                title="End Meeting for Everyone"
+                            >
+                                <PhoneOff size={24} />
+                            </button>
+                        )}
                     </div>
 
                     <div className="side-controls">
-                        <button className="icon-btn" title="Settings">
+                        <button
+                            className={`icon-btn ${speakerLayout ? 'active' : ''}`}
+                            onClick={() => setSpeakerLayout(!speakerLayout)}
+                            title={speakerLayout ? 'Switch to Grid Layout' : 'Switch to Active Speaker Layout'}
+                        >
+                            <Speech size={24} />
+                        </button>
+                        {isTranscribing && (
+                            <button
+                                className={`icon-btn ${showCaptions ? 'active' : ''}`}
+                                onClick={() => setShowCaptions(!showCaptions)}
+                                title={showCaptions ? 'Hide Captions' : 'Show Captions'}
+                            >
+                                {showCaptions ? <Captions size={24} /> : <CaptionsOff size={24} />}
+                            </button>
+                        )}
+                        <button
+                            className={`icon-btn badge-anchor ${activePanel === 'participants' ? 'active' : ''}`}
+                            onClick={() => togglePanel('participants')}
+                            title="Participants"
+                        >
+                            <Users size={24} />
+                            {isHost && lobbyQueue.length + handQueue.length > 0 && (
+                                <span className="unread-badge">{lobbyQueue.length + handQueue.length}</span>
+                            )}
+                        </button>
+                        <button
+                            className={`icon-btn badge-anchor ${activePanel === 'chat' ? 'active' : ''}`}
+                            onClick={() => togglePanel('chat')}
+                            title="Chat"
+                        >
+                            <MessageSquare size={24} />
+                            {unreadCount > 0 && <span className="unread-badge">{unreadCount}</span>}
+                        </button>
+                        <button
+                            className={`icon-btn ${activePanel === 'settings' ? 'active' : ''}`}
+                            onClick={() => togglePanel('settings')}
+                            title="Settings"
+                        >
                             <Settings size={24} />
                         </button>
                     </div>
@@ -450,14 +2459,111 @@ function App() {
         );
     }
 
+    if (exitNotice) {
+        return (
+            <div className="join-container">
+                <div className="join-card exit-card">
+                    <h1>Call Ended</h1>
+                    <p>{exitNotice}</p>
+                    <button className="join-btn" onClick={() => setExitNotice('')}>
+                        Back to Join
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="join-container">
             <div className="join-content">
-                <div className="preview-container">
-                    <video ref={previewVideoRef} autoPlay muted playsInline />
-                    <div className="preview-overlay">
-                        {(!name || !roomId) ? 'Enter details to join' : 'Ready to join?'}
+                <div className="preview-column">
+                    <div className="preview-container">
+                        <video ref={previewVideoRef} autoPlay muted playsInline />
+                        {deviceErrors.camera && <div className="preview-error">{deviceErrors.camera}</div>}
+                        <div className="preview-background">
+                            <BackgroundPicker
+                                background={background}
+                                support={backgroundSupport}
+                                onChange={changeBackground}
+                                onImageChosen={chooseBackgroundImage}
+                                selectClassName="preview-select"
+                            />
+                        </div>
+                        <div className="preview-overlay">
+                            {isWaiting
+                                ? 'Waiting for the host to let you in...'
+                                : (!name || !roomId) ? 'Enter details to join' : 'Ready to join?'}
+                        </div>
                     </div>
+
+                    {!isAdmin && (
+                        <div className="device-check">
+                            <label className="device-check-label">
+                                Camera
+                                <select
+                                    className="preview-select"
+                                    value={selectedDevices.videoInput || ''}
+                                    onChange={e => changeVideoInput(e.target.value)}
+                                    disabled={devices.videoInputs.length === 0}
+                                >
+                                    {devices.videoInputs.length === 0 && <option value="">No camera</option>}
+                                    {devices.videoInputs.map(device => (
+                                        <option key={device.deviceId} value={device.deviceId}>
+                                            {device.label || 'Camera'}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="device-check-label">
+                                Microphone
+                                <select
+                                    className="preview-select"
+                                    value={selectedDevices.audioInput || ''}
+                                    onChange={e => changeAudioInput(e.target.value)}
+                                    disabled={devices.audioInputs.length === 0}
+                                >
+                                    {devices.audioInputs.length === 0 && <option value="">No microphone</option>}
+                                    {devices.audioInputs.map(device => (
+                                        <option key={device.deviceId} value={device.deviceId}>
+                                            {device.label || 'Microphone'}
+                                        </option>
+                                    ))}
+                                </select>
+                                <div className="mic-meter" title="Speak to test your microphone">
+                                    <div className="mic-meter-level" style={{ width: `${micLevel * 100}%` }} />
+                                </div>
+                            </label>
+                            {deviceErrors.microphone && <div className="device-error">{deviceErrors.microphone}</div>}
+                            <div className="device-check-label">
+                                Speaker
+                                <div className="device-check-row">
+                                    <select
+                                        className="preview-select"
+                                        value={selectedDevices.audioOutput || ''}
+                                        onChange={e => changeAudioOutput(e.target.value)}
+                                        disabled={devices.audioOutputs.length === 0}
+                                    >
+                                        {devices.audioOutputs.length === 0 && <option value="">System default</option>}
+                                        {devices.audioOutputs.map(device => (
+                                            <option key={device.deviceId} value={device.deviceId}>
+                                                {device.label || 'Speaker'}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="button"
+                                        className="test-sound-btn"
+                                        onClick={playTestSound}
+                                        disabled={isPlayingTestSound}
+                                    >
+                                        <Volume2 size={16} />
+                                        {isPlayingTestSound ? 'Playing...' : 'Play test sound'}
+                                    </button>
+                                </div>
+                            </div>
+                            {deviceErrors.speaker && <div className="device-error">{deviceErrors.speaker}</div>}
+                        </div>
+                    )}
                 </div>
 
                 <div className="join-card">
@@ -521,15 +2627,31 @@ function App() {
                                 type="password"
                                 value={password}
                                 onChange={e => setPassword(e.target.value)}
-                                placeholder="Password"
+                                placeholder="Meeting Passcode"
                                 required
                             />
-                            <button type="submit" className="join-btn" disabled={isLoading}>
-                                {isLoading ? 'Connecting...' : 'Join Meeting'}
-                            </button>
-                            <button type="button" className="join-btn" style={{ background: 'transparent', border: '1px solid #5f6368', color: '#8ab4f8' }} onClick={() => setIsAdmin(true)}>
-                                Switch to Admin
+                            <label className="join-option">
+                                <input
+                                    type="checkbox"
+                                    checked={noiseSuppression && noiseSuppressionSupported}
+                                    disabled={!noiseSuppressionSupported}
+                                    onChange={toggleNoiseSuppression}
+                                />
+                                Noise suppression{!noiseSuppressionSupported && ' (not supported in this browser)'}
+                            </label>
+                            {lobbyNotice && <div className="lobby-notice">{lobbyNotice}</div>}
+                            <button type="submit" className="join-btn" disabled={isLoading || isWaiting}>
+                                {isLoading ? 'Connecting...' : isWaiting ? 'Waiting for host...' : 'Join Meeting'}
                             </button>
+                            {isWaiting ? (
+                                <button type="button" className="join-btn" style={{ background: 'transparent', border: '1px solid #5f6368', color: '#8ab4f8' }} onClick={() => stopWaiting()}>
+                                    Cancel
+                                </button>
+                            ) : (
+                                <button type="button" className="join-btn" style={{ background: 'transparent', border: '1px solid #5f6368', color: '#8ab4f8' }} onClick={() => setIsAdmin(true)}>
+                                    Switch to Admin
+                                </button>
+                            )}
                         </form>
                     ) : (
                         <div className="admin-controls">
@@ -539,6 +2661,50 @@ function App() {
                                 onChange={e => setRoomId(e.target.value)}
                                 placeholder="Meeting Code (e.g. 123)"
                             />
+                            <input
+                                className="input-field"
+                                type="password"
+                                value={adminPasscode}
+                                onChange={e => setAdminPasscode(e.target.value)}
+                                placeholder="Passcode (leave blank to generate)"
+                            />
+                            <div className="schedule-fields">
+                                <label className="schedule-label">
+                                    Starts
+                                    <input
+                                        className="input-field"
+                                        type="datetime-local"
+                                        value={scheduleForm.start}
+                                        onChange={e => setScheduleForm(prev => ({ ...prev, start: e.target.value }))}
+                                    />
+                                </label>
+                                <label className="schedule-label">
+                                    Expires
+                                    <input
+                                        className="input-field"
+                                        type="datetime-local"
+                                        value={scheduleForm.end}
+                                        onChange={e => setScheduleForm(prev => ({ ...prev, end: e.target.value }))}
+                                    />
+                                </label>
+                            </div>
+                            <input
+                                className="input-field"
+                                type="number"
+                                min="1"
+                                max="250"
+                                value={scheduleForm.maxAttendees}
+                                onChange={e => setScheduleForm(prev => ({ ...prev, maxAttendees: e.target.value }))}
+                                placeholder="Max attendees (optional)"
+                            />
+                            <textarea
+                                className="input-field"
+                                rows={2}
+                                maxLength={500}
+                                value={scheduleForm.description}
+                                onChange={e => setScheduleForm(prev => ({ ...prev, description: e.target.value }))}
+                                placeholder="Description (optional)"
+                            />
                             <button className="join-btn" onClick={handleCreateMeeting} disabled={isGenerating}>
                                 {isGenerating ? 'Generating...' : 'Create Meeting & Get Link'}
                             </button>
@@ -547,6 +2713,11 @@ function App() {
                                 <div style={{ marginTop: '20px', background: '#3c4043', padding: '12px', borderRadius: '4px', wordBreak: 'break-all' }}>
                                     <p style={{ fontSize: '12px', marginBottom: '8px' }}>Share this link:</p>
                                     <code style={{ fontSize: '11px', color: '#8ab4f8' }}>{generatedLink}</code>
+                                    <p style={{ fontSize: '12px', margin: '8px 0' }}>
+                                        {generatedPasscode
+                                            ? <>Passcode: <code style={{ color: '#8ab4f8' }}>{generatedPasscode}</code></>
+                                            : 'This meeting already existed, so its passcode is unchanged.'}
+                                    </p>
                                     <button
                                         className="join-btn"
                                         style={{ marginTop: '10px', fontSize: '12px', padding: '6px' }}
@@ -560,6 +2731,75 @@ function App() {
                                 </div>
                             )}
 
+                            {upcomingMeetings && upcomingMeetings.length > 0 && (
+                                <div className="recordings-list">
+                                    <div className="recording-title">Upcoming meetings</div>
+                                    {upcomingMeetings.map(meeting => (
+                                        <button
+                                            key={meeting.title}
+                                            type="button"
+                                            className="recording-item upcoming-item"
+                                            onClick={() => setRoomId(meeting.title)}
+                                            title="Select this meeting"
+                                        >
+                                            <div className="recording-title">{meeting.title}</div>
+                                            {meeting.schedule.description && <div>{meeting.schedule.description}</div>}
+                                            <div>
+                                                {Date.parse(meeting.schedule.scheduledStart) > Date.now()
+                                                    ? `Starts ${new Date(meeting.schedule.scheduledStart).toLocaleString()}`
+                                                    : 'Open now'}
+                                                {meeting.schedule.expiresAt && ` · until ${new Date(meeting.schedule.expiresAt).toLocaleString()}`}
+                                            </div>
+                                            {meeting.schedule.maxAttendees && (
+                                                <div>{meeting.attendeeCount} of {meeting.schedule.maxAttendees} participants in the meeting</div>
+                                            )}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            <button type="button" className="join-btn" onClick={loadRecordings} disabled={isLoadingRecordings}>
+                                {isLoadingRecordings ? 'Loading...' : 'View Recordings'}
+                            </button>
+
+                            {recordings && (
+                                <div className="recordings-list">
+                                    {recordings.length === 0 && <p className="recordings-empty">No recordings for this meeting yet.</p>}
+                                    {recordings.map(recording => (
+                                        <div key={recording.pipelineId} className="recording-item">
+                                            <div className="recording-title">
+                                                {recording.mode === 'grid' ? 'Grid' : 'Raw'} recording
+                                                {!recording.stoppedAt && <span className="rec-indicator">● REC</span>}
+                                            </div>
+                                            <div>
+                                                Started {new Date(recording.startedAt).toLocaleString()} by {recording.startedBy.name}
+                                            </div>
+                                            {recording.stoppedAt && (
+                                                <div>
+                                                    Stopped {new Date(recording.stoppedAt).toLocaleString()}
+                                                    {recording.stoppedBy ? ` by ${recording.stoppedBy.name}` : ` (${recording.stopReason.replace('-', ' ')})`}
+                                                </div>
+                                            )}
+                                            {!recording.concatenation && <code>{recording.s3Prefix}</code>}
+                                            {recording.concatenation && recording.concatenation.status === 'Failed' && (
+                                                <div className="concat-failed">
+                                                    Merging failed: {recording.concatenation.error}. Raw chunks remain under <code>{recording.s3Prefix}</code>
+                                                </div>
+                                            )}
+                                            {recording.concatenation && recording.concatenation.status === 'Stopped' && (
+                                                <>
+                                                    <div>Audio: <code>{recording.concatenation.audio}</code></div>
+                                                    <div>Video: <code>{recording.concatenation.video}</code></div>
+                                                </>
+                                            )}
+                                            {recording.concatenation && !['Stopped', 'Failed'].includes(recording.concatenation.status) && (
+                                                <div>Merging into single files… <code>{recording.s3Prefix}</code></div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
                             <button type="button" className="join-btn" style={{ background: 'transparent', border: '1px solid #5f6368', color: '#8ab4f8', marginTop: '10px' }} onClick={() => setIsAdmin(false)}>
                                 Back to Join
                             </button>